@@ -22,6 +22,9 @@
  * }
  */
 
+const fs = require('fs');
+const path = require('path');
+
 // Parse command line arguments  
 const args = process.argv.slice(2);
 
@@ -32,14 +35,17 @@ function parseArgs() {
     options: {}
   };
   
+  // A lone "-" (stdin) is a value, not an option
+  const isValue = i => i < args.length && (!args[i].startsWith('-') || args[i] === '-');
+  
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
-    if (arg.startsWith('-')) {
+    if (arg.startsWith('-') && arg !== '-') {
       if (arg.startsWith('--')) {
         const [key, value] = arg.slice(2).split('=', 2);
         if (value !== undefined) {
           parsed.options[key] = value;
-        } else if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
+        } else if (isValue(i + 1)) {
           parsed.options[key] = args[i + 1];
           i++;
         } else {
@@ -47,7 +53,7 @@ function parseArgs() {
         }
       } else {
         const flag = arg.slice(1);
-        if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
+        if (isValue(i + 1)) {
           parsed.options[flag] = args[i + 1];
           i++;
         } else {
@@ -77,6 +83,139 @@ function buildQueryString(params) {
   return parts.join('&');
 }
 
+// Retry and timeout settings shared by every CalendarClient (see configureRequests)
+const requestSettings = {
+  maxRetries: 3,
+  timeout: 15000,
+  debug: Boolean(process.env.DEBUG)
+};
+
+// Helper function to apply --max-retries, --timeout (seconds) and --debug
+function configureRequests(args) {
+  const maxRetries = args.options['max-retries'];
+  const timeout = args.options.timeout;
+  
+  if (maxRetries !== undefined) {
+    if (!/^\d+$/.test(maxRetries) || parseInt(maxRetries) > 10) {
+      throw new CalendarError('validation', `Invalid --max-retries value "${maxRetries === true ? '' : maxRetries}" (use a number from 0 to 10)`);
+    }
+    requestSettings.maxRetries = parseInt(maxRetries);
+  }
+  
+  if (timeout !== undefined) {
+    if (!(Number(timeout) > 0)) {
+      throw new CalendarError('validation', `Invalid --timeout value "${timeout === true ? '' : timeout}" (use seconds, e.g. 30)`);
+    }
+    requestSettings.timeout = Math.round(Number(timeout) * 1000);
+  }
+  
+  if (args.options.debug) {
+    requestSettings.debug = true;
+  }
+}
+
+// Helper function to write a debug line to stderr (with --debug or DEBUG set)
+function debugLog(message) {
+  if (requestSettings.debug) {
+    console.error(`🐛 ${message}`);
+  }
+}
+
+// Helper function to block for a while between retries (requests here are synchronous)
+function sleep(ms) {
+  try {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+  } catch (e) {
+    const until = Date.now() + ms;
+    while (Date.now() < until) {
+      // Busy-wait where Atomics.wait is not available
+    }
+  }
+}
+
+// Helper function to read a Retry-After header (seconds or an HTTP date) in milliseconds
+function getRetryAfter(response) {
+  const headers = response.headers || {};
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') :
+    (headers['retry-after'] || headers['Retry-After']);
+  
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  const ms = /^\d+(\.\d+)?$/.test(String(value).trim()) ? Number(value) * 1000 : new Date(value).getTime() - Date.now();
+  return isNaN(ms) ? null : Math.max(0, Math.round(ms));
+}
+
+// Helper function to split a multipart/mixed batch reply into { status, ok, body, error }
+// results keyed by the number in each part's Content-ID (<response-item3> is 3)
+function parseBatchResponse(text) {
+  const results = {};
+  const delimiter = (text.match(/^\s*(--[^\r\n]+)/) || [])[1];
+  if (!delimiter) {
+    return results;
+  }
+  
+  for (const part of text.split(delimiter)) {
+    const id = part.match(/Content-ID:\s*<response-item(\d+)>/i);
+    const statusLine = part.match(/HTTP\/[\d.]+ (\d{3})([^\r\n]*)/);
+    if (!id || !statusLine) continue;
+    
+    // The JSON body follows the blank line after the inner response's headers
+    const inner = part.slice(statusLine.index);
+    const bodyStart = inner.search(/\r?\n\r?\n/);
+    const raw = bodyStart === -1 ? '' : inner.slice(bodyStart).trim();
+    let body = null;
+    try {
+      body = raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      body = null;
+    }
+    
+    const status = parseInt(statusLine[1]);
+    const ok = status >= 200 && status < 300;
+    results[parseInt(id[1])] = {
+      status,
+      ok,
+      body,
+      error: ok ? null : CalendarError.fromResponse(status, statusLine[2].trim(), body || {})
+    };
+  }
+  
+  return results;
+}
+
+// Helper function to gather items from a page iterator up to a total limit.
+// Page metadata (summary, timeZone, nextSyncToken, ...) is kept from the last page read.
+function collectPages(pages, limit = Infinity) {
+  const result = { items: [] };
+  let truncated = false;
+  
+  for (const page of pages) {
+    const items = page.items || [];
+    Object.assign(result, page, { items: result.items });
+    
+    const remaining = limit - result.items.length;
+    result.items.push(...items.slice(0, remaining));
+    
+    if (items.length > remaining || (result.items.length >= limit && page.nextPageToken)) {
+      truncated = true;
+      break;
+    }
+  }
+  
+  delete result.nextPageToken;
+  result.truncated = truncated;
+  return result;
+}
+
+// Helper function to note when results were cut off by --max
+function printTruncationNotice(result, limit) {
+  if (result.truncated) {
+    console.log(`⚠️  Showing the first ${limit} result(s); more exist. Use --max to raise the limit`);
+  }
+}
+
 // Helper function to format time for display
 function formatTime(dateTimeStr) {
   if (!dateTimeStr) return '';
@@ -88,10 +227,19 @@ function formatTime(dateTimeStr) {
   });
 }
 
+// Helper function to parse an API date/time for display (all-day dates are local calendar days)
+function parseDisplayDate(dateTimeStr) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateTimeStr);
+  if (match) {
+    return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  }
+  return new Date(dateTimeStr);
+}
+
 // Helper function to format date for display
 function formatDate(dateTimeStr) {
   if (!dateTimeStr) return '';
-  const date = new Date(dateTimeStr);
+  const date = parseDisplayDate(dateTimeStr);
   return date.toLocaleDateString('en-US', { 
     weekday: 'short', 
     month: 'short', 
@@ -100,12 +248,16 @@ function formatDate(dateTimeStr) {
   });
 }
 
-// Helper function to format date range
+// Helper function to format date range (all-day end dates are exclusive)
 function formatDateRange(startStr, endStr) {
   if (!startStr) return '';
   
-  const start = new Date(startStr);
-  const end = endStr ? new Date(endStr) : null;
+  const start = parseDisplayDate(startStr);
+  const end = endStr ? parseDisplayDate(endStr) : null;
+  
+  if (end && /^\d{4}-\d{2}-\d{2}$/.test(endStr)) {
+    end.setDate(end.getDate() - 1);
+  }
   
   const startDate = start.toLocaleDateString('en-US', { 
     month: 'short', 
@@ -124,615 +276,5695 @@ function formatDateRange(startStr, endStr) {
   return `${startDate} - ${endDate}`;
 }
 
-// Calendar API client using secure tokens
-class CalendarClient {
-  constructor() {
-    // Check if secure token system is available
-    if (typeof hasToken === 'undefined') {
-      throw new Error('Secure token system not available. Use: pave-run gcal.js');
-    }
+// Helper function to get the time zone from --timezone/--tz, falling back to the given default
+function getTimeZone(args, fallback) {
+  const timeZone = args.options.timezone || args.options.tz;
+  if (timeZone && timeZone !== true) {
+    return timeZone;
+  }
+  return fallback || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
 
-    if (!hasToken('google-calendar')) {
-      console.error('Google Calendar token not configured.');
-      console.error('');
-      console.error('Add to ~/.pave/permissions.yaml:');
-      console.error(`tokens:
-  google-calendar:
-    env: GOOGLE_CALENDAR_ACCESS_TOKEN
-    type: oauth
-    domains:
-      - www.googleapis.com
-      - "*.googleapis.com"
-    placement:
-      type: header
-      name: Authorization
-      format: "Bearer {token}"
-    refreshEnv: GOOGLE_CALENDAR_REFRESH_TOKEN
-    refreshUrl: https://oauth2.googleapis.com/token
-    clientIdEnv: GOOGLE_CALENDAR_CLIENT_ID
-    clientSecretEnv: GOOGLE_CALENDAR_CLIENT_SECRET`);
-      console.error('');
-      console.error('Then set environment variables:');
-      console.error('  GOOGLE_CALENDAR_CLIENT_ID, GOOGLE_CALENDAR_CLIENT_SECRET, GOOGLE_CALENDAR_REFRESH_TOKEN');
-      throw new Error('Google Calendar token not configured');
-    }
+// Helper function to read the --from/--to options into an API time range
+function getTimeRange(args) {
+  const range = {};
+  const timeZone = getTimeZone(args);
+  
+  if (args.options.from || args.options.f) {
+    const option = args.options.from ? '--from' : '-f';
+    const fromDate = DateParser.parse(args.options.from || args.options.f, { timeZone, option });
+    range.timeMin = fromDate.toISOString();
+  }
+  
+  if (args.options.to || args.options.t) {
+    const option = args.options.to ? '--to' : '-t';
+    const toDate = DateParser.parse(args.options.to || args.options.t, { timeZone, option });
+    range.timeMax = toDate.toISOString();
+  }
+  
+  return range;
+}
 
-    this.baseUrl = 'https://www.googleapis.com/calendar/v3';
+// Helper function to resolve --end (relative forms anchor to the start) or --duration
+function getEndDate(args, startDate, timeZone) {
+  const end = args.options.end || args.options.to;
+  
+  if (end) {
+    return DateParser.parse(end, {
+      timeZone,
+      now: startDate,
+      option: args.options.end ? '--end' : '--to'
+    });
+  }
+  
+  const minutes = parseDuration(args.options.duration);
+  if (!minutes) {
+    throw new CalendarError('validation', `Invalid --duration value "${args.options.duration}" (examples: 30, 45m, 1h, 1h30m)`);
   }
+  
+  return new Date(startDate.getTime() + minutes * 60000);
+}
 
-  /**
-   * Make authenticated request to Calendar API
-   */
-  request(endpoint, options = {}) {
-    const url = `${this.baseUrl}${endpoint}`;
-    
-    try {
-      const response = authenticatedFetch('google-calendar', url, {
-        timeout: 15000,
-        ...options
-      });
+// Helper function to format a Date as the calendar day (YYYY-MM-DD) it falls on in a time zone
+function formatLocalDate(date, timeZone) {
+  return formatLocalDateTime(date, timeZone).slice(0, 10);
+}
 
-      if (!response.ok) {
-        const error = response.json();
-        const err = new Error(error.error?.message || `HTTP ${response.status}: ${response.statusText}`);
-        err.status = response.status;
-        err.code = error.error?.code;
-        err.data = error;
-        throw err;
-      }
+// Helper function to add days to a YYYY-MM-DD calendar date
+function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(n => parseInt(n));
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
 
-      return response.json();
-    } catch (error) {
-      if (error.message.includes('Network permission denied')) {
-        throw new Error('Network permission required: --allow-network=googleapis.com');
-      }
-      throw error;
+// Helper function to resolve all-day start/end dates; --end is the inclusive last day
+function getAllDayDates(args, start, timeZone) {
+  const startDate = DateParser.isDateOnly(start) ? start.trim() :
+    formatLocalDate(DateParser.parse(start, { timeZone, option: args.options.start ? '--start' : '--from' }), timeZone);
+  const end = args.options.end || args.options.to;
+  let endDate;
+  
+  if (end) {
+    const lastDay = DateParser.isDateOnly(end) ? end.trim() : formatLocalDate(DateParser.parse(end, {
+      timeZone,
+      now: DateParser.parse(startDate, { timeZone }),
+      option: args.options.end ? '--end' : '--to'
+    }), timeZone);
+    endDate = addDays(lastDay, 1);
+  } else if (args.options.duration) {
+    const minutes = parseDuration(args.options.duration);
+    if (!minutes) {
+      throw new CalendarError('validation', `Invalid --duration value "${args.options.duration}" (examples: 1d, 3d)`);
     }
+    endDate = addDays(startDate, Math.max(1, Math.ceil(minutes / 1440)));
+  } else {
+    endDate = addDays(startDate, 1);
   }
-
-  /**
-   * List all calendars
-   */
-  listCalendars(options = {}) {
-    const params = buildQueryString({
-      maxResults: options.maxResults || 250,
-      showDeleted: options.showDeleted || false,
-      showHidden: options.showHidden || false
-    });
-
-    return this.request(`/users/me/calendarList?${params}`);
+  
+  if (endDate <= startDate) {
+    throw new CalendarError('validation', `All-day event must end on or after its start date (${startDate})`);
   }
+  
+  return { startDate, endDate };
+}
 
-  /**
-   * Get calendar by ID
-   */
-  getCalendar(calendarId) {
-    return this.request(`/calendars/${encodeURIComponent(calendarId)}`);
+// Helper function to collect calendar IDs from positional args and --calendar (comma-separated)
+function getCalendarIds(args, positional = []) {
+  const raw = [...positional];
+  const option = args.options.calendar || args.options.c;
+  if (option && option !== true) {
+    raw.push(option);
   }
-
-  /**
-   * List events from a calendar
-   */
-  listEvents(calendarId = 'primary', options = {}) {
-    const params = buildQueryString({
-      timeMin: options.timeMin,
-      timeMax: options.timeMax,
-      q: options.query,
-      maxResults: options.maxResults || 250,
-      singleEvents: options.singleEvents !== false,
-      orderBy: options.orderBy || 'startTime',
-      showDeleted: options.showDeleted || false
-    });
-
-    return this.request(`/calendars/${encodeURIComponent(calendarId)}/events?${params}`);
+  
+  const ids = [];
+  for (const value of raw) {
+    for (const id of String(value).split(',')) {
+      const trimmed = id.trim();
+      if (trimmed && !ids.includes(trimmed)) {
+        ids.push(trimmed);
+      }
+    }
   }
+  
+  return ids.length > 0 ? ids : ['primary'];
+}
 
-  /**
-   * Get a specific event
-   */
-  getEvent(calendarId, eventId) {
-    return this.request(`/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`);
+// Helper function to resolve --calendar (an ID, a comma-separated list or "all") to calendars
+function resolveCalendars(client, args) {
+  const value = args.options.calendar || args.options.c || 'primary';
+  const label = cal => cal.summaryOverride || cal.summary || cal.id;
+  
+  if (value === 'all') {
+    const minAccessRole = args.options['min-access-role'] || 'reader';
+    const list = client.listCalendars({ minAccessRole });
+    return (list.items || []).map(cal => ({ id: cal.id, summary: label(cal) }));
+  }
+  
+  const ids = getCalendarIds({ options: { calendar: value } });
+  if (ids.length === 1) {
+    return [{ id: ids[0], summary: ids[0] }];
+  }
+  
+  // Look up display names for labelling; fall back to the IDs
+  const names = {};
+  try {
+    for (const cal of client.listCalendars().items || []) {
+      names[cal.id] = label(cal);
+      if (cal.primary) names.primary = label(cal);
+    }
+  } catch (e) {
+    // Calendar list not readable; label events with their calendar IDs
   }
+  
+  return ids.map(id => ({ id, summary: names[id] || id }));
+}
 
-  /**
-   * Get today's events
-   */
-  getTodayEvents(calendarId = 'primary', options = {}) {
-    const now = new Date();
-    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+// Helper function to get an event's start as a timestamp for sorting
+function eventStartTime(event) {
+  const start = event.start?.dateTime || event.start?.date;
+  return start ? parseDisplayDate(start).getTime() : 0;
+}
 
-    return this.listEvents(calendarId, {
-      timeMin: startOfDay.toISOString(),
-      timeMax: endOfDay.toISOString(),
-      maxResults: options.maxResults || 50,
-      ...options
-    });
+// Helper function to fetch events from several calendars, merged chronologically.
+// Events on more than one calendar (same iCalUID and start) are listed once with every source.
+function fetchMergedEvents(calendars, limit, fetch) {
+  const seen = new Map();
+  const items = [];
+  const errors = [];
+  let firstError = null;
+  let truncated = false;
+  
+  for (const calendar of calendars) {
+    let response;
+    try {
+      response = fetch(calendar.id);
+    } catch (error) {
+      errors.push({ calendarId: calendar.id, error: error.message });
+      firstError = firstError || error;
+      continue;
+    }
+    
+    truncated = truncated || Boolean(response.truncated);
+    
+    for (const event of response.items || []) {
+      const start = event.originalStartTime || event.start || {};
+      const key = `${event.iCalUID || event.id}|${start.date || new Date(start.dateTime).toISOString()}`;
+      const existing = seen.get(key);
+      
+      if (existing) {
+        existing.calendarIds.push(calendar.id);
+        existing.calendarName += `, ${calendar.summary}`;
+        continue;
+      }
+      
+      const item = {
+        ...event,
+        calendarId: calendar.id,
+        calendarName: calendar.summary,
+        calendarIds: [calendar.id]
+      };
+      seen.set(key, item);
+      items.push(item);
+    }
   }
+  
+  if (errors.length > 0 && errors.length === calendars.length) {
+    throw firstError;
+  }
+  
+  items.sort((a, b) => eventStartTime(a) - eventStartTime(b));
+  
+  return {
+    calendars,
+    items: items.slice(0, limit),
+    errors,
+    truncated: truncated || items.length > limit
+  };
+}
 
-  /**
-   * Get upcoming events (next N days)
-   */
-  getUpcomingEvents(days = 7, calendarId = 'primary', options = {}) {
-    const now = new Date();
-    const endDate = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
-
-    return this.listEvents(calendarId, {
-      timeMin: now.toISOString(),
-      timeMax: endDate.toISOString(),
-      maxResults: options.maxResults || 100,
-      ...options
-    });
+// Helper function to fetch events for --calendar, merging when it names several calendars
+function fetchEvents(client, args, limit, fetch) {
+  const calendars = resolveCalendars(client, args);
+  if (calendars.length === 1) {
+    return fetch(calendars[0].id);
   }
+  return fetchMergedEvents(calendars, limit, fetch);
+}
 
-  /**
-   * Search events across timeframe
-   */
-  searchEvents(query, options = {}) {
-    const calendarId = options.calendar || 'primary';
-    return this.listEvents(calendarId, {
-      q: query,
-      timeMin: options.timeMin,
-      timeMax: options.timeMax,
-      maxResults: options.maxResults || 50,
-      ...options
-    });
+// Helper function to warn about calendars that could not be read in a merged view
+function printCalendarErrors(result) {
+  for (const entry of result.errors || []) {
+    console.log(`⚠️  Skipped ${entry.calendarId}: ${entry.error}`);
+  }
+  if (result.errors && result.errors.length > 0) {
+    console.log('');
   }
+}
 
-  /**
-   * Create a new calendar event
-   */
-  createEvent(calendarId, eventData) {
-    return this.request(`/calendars/${encodeURIComponent(calendarId)}/events`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(eventData)
-    });
+// Helper function to ask a question on stderr and read one line of the answer from stdin.
+// Returns null when no answer could be read (stdin closed, empty or not readable).
+function promptLine(question) {
+  process.stderr.write(question);
+  
+  const buffer = Buffer.alloc(256);
+  let answer = '';
+  let read = false;
+  try {
+    while (!answer.includes('\n')) {
+      const bytes = fs.readSync(0, buffer, 0, buffer.length, null);
+      if (bytes === 0) break;
+      read = true;
+      answer += buffer.toString('utf8', 0, bytes);
+    }
+  } catch (e) {
+    // No readable stdin (closed, or non-blocking with nothing waiting)
   }
+  
+  // Piped answers are not echoed; end the prompt line ourselves
+  if (!process.stdin.isTTY) {
+    process.stderr.write('\n');
+  }
+  
+  return read ? answer.split('\n')[0].trim() : null;
+}
 
-  /**
-   * Update an existing calendar event
-   */
-  updateEvent(calendarId, eventId, eventData) {
-    return this.request(`/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(eventData)
-    });
+// Helper function to pick the event source for read commands: the API, or the local cache
+// with --offline/--cached
+function getReadClient(args) {
+  if (args.options.offline || args.options.cached) {
+    return new EventCache(args.options['cache-dir']);
   }
+  return new CalendarClient();
+}
 
-  /**
-   * Delete a calendar event
-   */
-  deleteEvent(calendarId, eventId) {
-    return this.request(`/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`, {
-      method: 'DELETE'
-    });
+// Helper function to attach cache freshness to results and print it in text mode
+function applyCacheStatus(client, result, args) {
+  if (!(client instanceof EventCache)) return;
+  
+  const maxAge = args.options['max-age'] ? parseDuration(args.options['max-age']) : 60;
+  const status = client.status(maxAge);
+  if (!status) return;
+  
+  result.cache = status;
+  if (OutputFormatter.getFormat(args) !== 'text') return;
+  
+  const age = status.ageMinutes < 60 ? `${status.ageMinutes} min` :
+    status.ageMinutes < 1440 ? `${Math.floor(status.ageMinutes / 60)} h ${status.ageMinutes % 60} min` :
+    `${Math.floor(status.ageMinutes / 1440)} days`;
+  const flag = status.stale ? '⚠️  STALE - ' : '';
+  console.log(`🗄️  ${flag}Offline data synced ${new Date(status.syncedAt).toLocaleString()} (${age} ago)\n`);
+}
+
+// Helper function to merge overlapping or adjacent busy blocks
+function mergeBusyBlocks(blocks) {
+  const sorted = (blocks || [])
+    .map(block => ({ start: new Date(block.start).getTime(), end: new Date(block.end).getTime() }))
+    .sort((a, b) => a.start - b.start);
+  
+  const merged = [];
+  for (const block of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && block.start <= last.end) {
+      last.end = Math.max(last.end, block.end);
+    } else {
+      merged.push({ ...block });
+    }
+  }
+  
+  return merged.map(block => ({
+    start: new Date(block.start).toISOString(),
+    end: new Date(block.end).toISOString()
+  }));
+}
+
+// Helper function to format a start/end pair that may span several days
+function formatBlock(startStr, endStr) {
+  const sameDay = new Date(startStr).toDateString() === new Date(endStr).toDateString();
+  if (sameDay) {
+    return `${formatDate(startStr)} ${formatTime(startStr)} - ${formatTime(endStr)}`;
+  }
+  return `${formatDate(startStr)} ${formatTime(startStr)} - ${formatDate(endStr)} ${formatTime(endStr)}`;
+}
+
+// Helper function to get an event's time span as Dates (all-day events cover whole local days)
+function eventInterval(event) {
+  const start = parseDisplayDate(event.start?.dateTime || event.start?.date);
+  const endValue = event.end?.dateTime || event.end?.date;
+  return { start, end: endValue ? parseDisplayDate(endValue) : start };
+}
+
+// Helper function to tell whether an event takes up time: not cancelled, not marked
+// free (transparent) and not declined by the calendar owner
+function isBlocking(event) {
+  if (event.status === 'cancelled' || event.transparency === 'transparent') return false;
+  const self = (event.attendees || []).find(attendee => attendee.self);
+  return !self || self.responseStatus !== 'declined';
+}
+
+// Helper function to convert an API start/end ({ dateTime, timeZone } or { date }) to a Date
+function apiTimeToDate(value, fallbackTimeZone) {
+  if (value.date) return parseDisplayDate(value.date);
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(value.dateTime)) return new Date(value.dateTime);
+  
+  const [date, time = '00:00'] = value.dateTime.split('T');
+  const [year, month, day] = date.split('-').map(n => parseInt(n));
+  const [hour, minute] = time.split(':').map(n => parseInt(n));
+  return zonedTimeToDate(year, month, day, hour, minute, value.timeZone || fallbackTimeZone);
+}
+
+/**
+ * Find existing events on a calendar, and optionally attendees' busy time, that overlap a
+ * proposed event window. `ignore` is the event being changed (and its series); its own
+ * slot is also removed from the attendees' busy time.
+ */
+function checkConflicts(client, calendarId, window, options = {}) {
+  const ignore = options.ignore;
+  const sameEvent = event => ignore && (event.id === ignore.id ||
+    (event.recurringEventId && (event.recurringEventId === ignore.id || event.recurringEventId === ignore.recurringEventId)));
+  
+  const timeMin = window.start.toISOString();
+  const timeMax = window.end.toISOString();
+  const response = client.listEvents(calendarId, { timeMin, timeMax, maxResults: 250 });
+  
+  const events = (response.items || []).filter(event => {
+    if (!isBlocking(event) || sameEvent(event)) return false;
+    const interval = eventInterval(event);
+    return interval.start < window.end && interval.end > window.start;
+  });
+  
+  // The calendar owner's own busy time is already covered by the event list
+  const owner = [calendarId, response.summary].map(id => String(id || '').toLowerCase());
+  const attendees = (options.attendees || []).filter(email => !owner.includes(email.toLowerCase()));
+  const busy = [];
+  const errors = [];
+  
+  if (attendees.length > 0) {
+    const result = client.freeBusy(attendees, { timeMin, timeMax });
+    const skip = ignore ? eventInterval(ignore) : null;
+    
+    for (const email of attendees) {
+      const entry = result.calendars?.[email] || {};
+      if (entry.errors && entry.errors.length > 0) {
+        errors.push({ email, reason: entry.errors[0].reason || 'unavailable' });
+        continue;
+      }
+      
+      for (const block of mergeBusyBlocks(entry.busy)) {
+        let start = new Date(block.start);
+        let end = new Date(block.end);
+        
+        // Drop the part of the block that is the event itself at its current time
+        if (skip && skip.start <= start && skip.end >= end) continue;
+        if (skip && skip.start <= start && skip.end > start) start = skip.end;
+        if (skip && skip.end >= end && skip.start < end) end = skip.start;
+        
+        if (start < window.end && end > window.start && start < end) {
+          busy.push({ email, start: start.toISOString(), end: end.toISOString() });
+        }
+      }
+    }
+  }
+  
+  return { events, busy, errors, count: events.length + busy.length };
+}
+
+// Helper function to print the overlapping events and busy attendees found by checkConflicts
+function printConflicts(conflicts, print = console.error) {
+  print(`⚠️  Conflicts with ${conflicts.count} existing booking(s):`);
+  for (const event of conflicts.events) {
+    const calendar = event.organizer?.displayName || event.organizer?.email;
+    print(`   ⏰ ${EventFormatter.formatTimeRange(event).padEnd(20)} ${event.summary || '(No title)'}${calendar ? `  (${calendar})` : ''}`);
+  }
+  for (const block of conflicts.busy) {
+    print(`   👤 ${block.email} busy ${formatBlock(block.start, block.end)}`);
+  }
+  for (const error of conflicts.errors) {
+    print(`   ❔ ${error.email}: free/busy not available (${error.reason})`);
+  }
+}
+
+// Helper function to read --notify all|external|none: which guests Google emails about a
+// change (sendUpdates). Defaults to $GCAL_NOTIFY, or none (no emails, as before --notify existed).
+function getNotify(args) {
+  const fromOption = args.options.notify !== undefined;
+  const value = fromOption ? args.options.notify : (process.env.GCAL_NOTIFY || 'none');
+  
+  if (!['all', 'external', 'none'].includes(value)) {
+    const source = fromOption ? '--notify' : 'GCAL_NOTIFY';
+    throw new CalendarError('validation', `Invalid ${source} value "${value === true ? '' : value}" (use: all, external, none)`);
+  }
+  return value;
+}
+
+// Helper function to say who Google emails about a change to an event, or null when
+// the event has no guests. `what` names the email (Invitation, Update, Cancellation).
+function describeNotify(notify, event, what) {
+  const guests = ((event && event.attendees) || []).filter(attendee => !attendee.self && !attendee.resource);
+  if (guests.length === 0) {
+    return null;
+  }
+  
+  if (notify === 'none') {
+    return 'Guests were not notified';
+  }
+  if (notify === 'external') {
+    return `${what} emailed to guests outside your organization only`;
+  }
+  return `${what} emailed to ${guests.length} guest(s)`;
+}
+
+// Helper function to check the shape of an email address
+function isValidEmail(value) {
+  return /^[^\s@,;<>()]+@[^\s@,;<>()]+\.[^\s@,;<>()]+$/.test(value);
+}
+
+// Helper function to check create/update options before anything is sent, collecting every
+// problem instead of stopping at the first. `current` is the event being updated.
+function validateEventInput(args, current = null) {
+  const problems = [];
+  const fallbackZone = current?.start?.timeZone || 'Asia/Hong_Kong';
+  const tz = args.options.timezone || args.options.tz;
+  let timeZone = getTimeZone(args, fallbackZone);
+  
+  if (tz !== undefined && (tz === true || !isValidTimeZone(tz))) {
+    problems.push(`--tz: "${tz === true ? '' : tz}" is not a valid IANA time zone (examples: Asia/Hong_Kong, Europe/London)`);
+    timeZone = fallbackZone;
+  }
+  
+  if (args.options.attendees === true) {
+    problems.push('--attendees: expected comma-separated email addresses');
+  } else if (args.options.attendees) {
+    const invalid = String(args.options.attendees).split(',').map(email => email.trim())
+      .filter(email => !isValidEmail(email));
+    if (invalid.length > 0) {
+      problems.push(`--attendees: not a valid email address: ${invalid.map(email => `"${email}"`).join(', ')}`);
+    }
+  }
+  
+  for (const option of ['add-attendee', 'optional-attendee', 'remove-attendee']) {
+    if (args.options[option] === true) {
+      problems.push(`--${option}: expected an email address`);
+      continue;
+    }
+    const invalid = emailList(args.options[option]).filter(email => !isValidEmail(email));
+    if (invalid.length > 0) {
+      problems.push(`--${option}: not a valid email address: ${invalid.map(email => `"${email}"`).join(', ')}`);
+    }
+  }
+  
+  if (current) {
+    const known = (current.attendees || []).map(attendee => (attendee.email || '').toLowerCase());
+    const missing = emailList(args.options['remove-attendee'])
+      .filter(email => isValidEmail(email) && !known.includes(email.toLowerCase()));
+    if (missing.length > 0) {
+      problems.push(`--remove-attendee: not an attendee of this event: ${missing.map(email => `"${email}"`).join(', ')}`);
+    }
+  }
+  
+  const reminder = args.options.reminder;
+  if (reminder !== undefined && reminder !== false && (!/^\d+$/.test(String(reminder)) || parseInt(reminder) > 40320)) {
+    problems.push(`--reminder: "${reminder === true ? '' : reminder}" is not a number of minutes (0-40320)`);
+  }
+  
+  if (args.options.duration !== undefined && !parseDuration(args.options.duration)) {
+    problems.push(`--duration: "${args.options.duration === true ? '' : args.options.duration}" is not a duration (examples: 30, 45m, 1h30m, 2d)`);
+  }
+  
+  // Parse the times the same way the command will, then check their order
+  const start = args.options.start || args.options.from;
+  const end = args.options.end || args.options.to;
+  const allDay = Boolean(args.options['all-day']) || DateParser.isDateOnly(start) ||
+    (!start && current && !current.start.dateTime && !args.options.timed);
+  
+  if (allDay) {
+    const first = start || (current && (current.start.date || formatLocalDate(new Date(current.start.dateTime), timeZone)));
+    if (first && (end || parseDuration(args.options.duration))) {
+      try {
+        getAllDayDates(args, first, timeZone);
+      } catch (error) {
+        problems.push(error.message);
+      }
+    }
+    return problems;
+  }
+  
+  let startDate = current?.start?.dateTime ? new Date(current.start.dateTime) : null;
+  if (start) {
+    try {
+      startDate = DateParser.parse(start, { timeZone, option: args.options.start ? '--start' : '--from' });
+    } catch (error) {
+      problems.push(error.message);
+      startDate = null;
+    }
+  }
+  
+  if (startDate && (end || parseDuration(args.options.duration))) {
+    try {
+      const endDate = getEndDate(args, startDate, timeZone);
+      if (endDate <= startDate) {
+        problems.push(`--end must be after --start (start ${formatLocalDateTime(startDate, timeZone)}, end ${formatLocalDateTime(endDate, timeZone)} ${timeZone})`);
+      }
+    } catch (error) {
+      problems.push(error.message);
+    }
+  } else if (!startDate && end && !start) {
+    try {
+      DateParser.parse(end, { timeZone, option: args.options.end ? '--end' : '--to' });
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+  
+  return problems;
+}
+
+// Helper function to fail with every validation problem at once
+function assertValid(problems) {
+  if (problems.length === 0) return;
+  
+  throw new CalendarError('validation', `Invalid input (${problems.length} problem${problems.length === 1 ? '' : 's'})`, {
+    hints: problems.map(problem => `   • ${problem}`),
+    extra: { problems }
+  });
+}
+
+// Helper function to report a failed command and exit with the code for its error type.
+// With --json the error goes to stdout as { ok: false, error: { type, message, ... } }.
+// `context` prefixes API and unexpected failures ("Failed to create event: ..."); `messages`
+// replaces the message for given types, e.g. { 'not-found': 'Event not found' }.
+// Helper function to give the --json summary of a run that works through many items (import,
+// sync, move, bulk) the ok/error fields of a failed command when some of the items failed
+function partialFailure(failed, total, what) {
+  if (failed === 0) {
+    return { ok: true };
+  }
+  return { ok: false, error: new CalendarError('error', `${failed} of ${total} ${what}`).toJSON() };
+}
+
+function exitWithError(error, args, context, messages = {}) {
+  const failure = CalendarError.from(error);
+  if (messages[failure.type]) {
+    failure.message = messages[failure.type];
+  }
+  
+  if (args && args.options.json) {
+    console.log(JSON.stringify({ ok: false, error: failure }, null, 2));
+  } else {
+    const prefixed = context && !messages[failure.type] && !['validation', 'conflict'].includes(failure.type);
+    console.error(prefixed ? `❌ ${context}:` : '❌', failure.message);
+    for (const hint of failure.hints) {
+      console.error(hint);
+    }
+    if (process.env.DEBUG && error.stack) {
+      console.error('Stack trace:', error.stack);
+    }
+  }
+  
+  process.exit(failure.exitCode);
+}
+
+// Helper function to render an event field for the --dry-run diff
+function describeField(field, value) {
+  if (value === undefined || value === null || value === '') return '(none)';
+  if (field === 'start' || field === 'end') {
+    if (value.date) return `${value.date} (all day)`;
+    return value.timeZone ? `${value.dateTime} ${value.timeZone}` : String(value.dateTime);
+  }
+  if (field === 'attendees') {
+    return value.length > 0 ?
+      value.map(attendee => `${attendee.email}${attendee.optional ? ' (optional)' : ''}`).join(', ') : '(none)';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Helper function to list field-by-field changes between an event and an update body
+function diffEvent(current, updates) {
+  const changes = [];
+  for (const field of Object.keys(updates)) {
+    const from = describeField(field, current[field]);
+    const to = describeField(field, updates[field]);
+    if (from !== to) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+// Helper function to print what a --dry-run would have sent, without sending it
+function printDryRun(client, args, details = {}) {
+  if (args.options.json) {
+    console.log(JSON.stringify({ dryRun: true, ...details, requests: client.planned }, null, 2));
+    return;
+  }
+  
+  console.log('🧪 Dry run - nothing was sent\n');
+  
+  if (details.action) {
+    console.log(`📝 ${details.action}\n`);
+  }
+  
+  if (details.changes) {
+    console.log(details.changes.length > 0 ? `✏️  Changes to "${details.summary}":` : `✏️  No changes to "${details.summary}"`);
+    const width = Math.max(0, ...details.changes.map(change => change.field.length));
+    for (const change of details.changes) {
+      console.log(`   ${change.field.padEnd(width)}  ${change.from} → ${change.to}`);
+    }
+    console.log('');
+  }
+  
+  if (details.conflicts && details.conflicts.count > 0) {
+    printConflicts(details.conflicts, console.log);
+    if (details.conflicts.blocked) {
+      console.log('   The real run would stop here; pass --allow-conflict to book anyway');
+    }
+    console.log('');
+  }
+  
+  for (const request of client.planned) {
+    console.log(`➡️  ${request.method} ${request.url}`);
+    if (request.body) {
+      console.log(JSON.stringify(request.body, null, 2));
+    }
+    console.log('');
+  }
+}
+
+// Helper function to ask for a new Google Meet link when an event is written
+function buildMeetRequest() {
+  return {
+    createRequest: {
+      requestId: `gcal-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+      conferenceSolutionKey: { type: 'hangoutsMeet' }
+    }
+  };
+}
+
+// Helper function to print the join details from EventFormatter.conference
+function printConference(conference, eventId = '<eventId>') {
+  if (conference.pending && !conference.joinUrl) {
+    console.log(`🎥 ${conference.name}: link is being created (check again with: node gcal.js event ${eventId})`);
+    return;
+  }
+  
+  console.log(`🎥 ${conference.name}: ${conference.joinUrl}${conference.meetingCode ? ` (code ${conference.meetingCode})` : ''}`);
+  for (const phone of conference.phones) {
+    const region = phone.regionCode ? ` (${phone.regionCode})` : '';
+    console.log(`📞 Dial-in: ${phone.number}${region}${phone.pin ? `  PIN: ${phone.pin}#` : ''}`);
+  }
+  if (conference.morePhones) {
+    console.log(`📞 More numbers: ${conference.morePhones}`);
+  }
+}
+
+// Helper function to split a comma-separated email option into a list
+function emailList(value) {
+  if (value === undefined || value === true || value === false) return [];
+  return String(value).split(',').map(email => email.trim()).filter(Boolean);
+}
+
+// Helper function to apply --attendees (replace the list) and --add-attendee,
+// --optional-attendee and --remove-attendee (edit it) to an event's attendees.
+// Existing entries are kept as-is so their responses survive. Returns null when unchanged.
+function editAttendees(args, current = []) {
+  const add = emailList(args.options['add-attendee']);
+  const optional = emailList(args.options['optional-attendee']);
+  const remove = emailList(args.options['remove-attendee']).map(email => email.toLowerCase());
+  const replace = args.options.attendees !== undefined && args.options.attendees !== true;
+  
+  if (!replace && add.length === 0 && optional.length === 0 && remove.length === 0) {
+    return null;
+  }
+  
+  const find = (list, email) => list.find(attendee => (attendee.email || '').toLowerCase() === email.toLowerCase());
+  let attendees = replace ?
+    emailList(args.options.attendees).map(email => find(current, email) || { email }) :
+    current.map(attendee => ({ ...attendee }));
+  
+  for (const email of add) {
+    const existing = find(attendees, email);
+    if (existing) {
+      delete existing.optional;
+    } else {
+      attendees.push({ email });
+    }
+  }
+  
+  for (const email of optional) {
+    const existing = find(attendees, email);
+    if (existing) {
+      existing.optional = true;
+    } else {
+      attendees.push({ email, optional: true });
+    }
+  }
+  
+  attendees = attendees.filter(attendee => !remove.includes((attendee.email || '').toLowerCase()));
+  return attendees;
+}
+
+// Helper function to list the attendee emails of an event body
+function getAttendeeEmails(event) {
+  return (event.attendees || []).map(attendee => attendee.email).filter(Boolean);
+}
+
+// Helper function to stop a write that conflicts unless --allow-conflict was given.
+// Returns the conflicts so the caller can mention them after booking anyway.
+function guardConflicts(client, calendarId, window, args, options = {}) {
+  const conflicts = checkConflicts(client, calendarId, window, {
+    ...options,
+    attendees: args.options['check-attendees'] ? options.attendees : []
+  });
+  if (conflicts.count === 0 || args.options['allow-conflict']) {
+    return conflicts;
+  }
+  
+  // A dry run reports what would block the write instead of stopping
+  if (args.options['dry-run']) {
+    conflicts.blocked = true;
+    return conflicts;
+  }
+  
+  if (!args.options.json) {
+    printConflicts(conflicts);
+    console.error('');
+  }
+  throw new CalendarError('conflict', `${options.action || 'Event not saved'}: the time is already taken`, {
+    hints: [
+      '💡 Pass --allow-conflict to book anyway, or look for a free time with:',
+      '   node gcal.js find-slot <attendees...> --duration <time>'
+    ],
+    extra: { conflicts }
+  });
+}
+
+// Intl formatters are slow to build; getZonedParts keeps one per time zone
+const zonedFormatters = new Map();
+
+// Helper function to read the wall-clock parts of a date in a given time zone
+function getZonedParts(date, timeZone) {
+  let formatter = zonedFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    zonedFormatters.set(timeZone, formatter);
+  }
+  const parts = formatter.formatToParts(date);
+  
+  const values = {};
+  for (const part of parts) {
+    values[part.type] = part.value;
+  }
+  
+  return {
+    year: parseInt(values.year),
+    month: parseInt(values.month),
+    day: parseInt(values.day),
+    hour: parseInt(values.hour),
+    minute: parseInt(values.minute),
+    second: parseInt(values.second)
+  };
+}
+
+// Helper function to get a time zone's UTC offset (in minutes) at a given instant
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Helper function to convert a wall-clock time in a time zone to a Date
+function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  let result = guess - offset * 60000;
+  
+  // Re-check once in case the guess landed on the other side of a DST change
+  const actualOffset = getTimeZoneOffset(new Date(result), timeZone);
+  if (actualOffset !== offset) {
+    result = guess - actualOffset * 60000;
+  }
+  
+  return new Date(result);
+}
+
+// Helper function to format a date as a local ISO string (2024-01-15T10:00:00) in a time zone
+function formatLocalDateTime(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+// Helper function to check whether a string is an IANA time zone name
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Helper function to parse durations like 45, 45m, 1h, 1h30m, 2d into minutes
+function parseDuration(value) {
+  if (value === undefined || value === null || value === true) return null;
+  const str = String(value).trim().toLowerCase();
+  
+  if (/^\d+$/.test(str)) {
+    return parseInt(str);
+  }
+  
+  const match = str.match(/^(?:(\d+)\s*d(?:ays?)?)?\s*(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:utes?|s)?)?)?$/);
+  if (!match || (!match[1] && !match[2] && !match[3])) {
+    return null;
+  }
+  
+  return parseInt(match[1] || 0) * 1440 + Math.round(parseFloat(match[2] || 0) * 60) + parseInt(match[3] || 0);
+}
+
+// Helper function to parse a working hours range like 09:00-18:00 into minutes of the day
+function parseWorkingHours(value) {
+  const match = String(value).trim().match(/^(\d{1,2})(?::(\d{2}))?\s*[-–]\s*(\d{1,2})(?::(\d{2}))?$/);
+  if (!match) return null;
+  
+  const start = parseInt(match[1]) * 60 + parseInt(match[2] || 0);
+  const end = parseInt(match[3]) * 60 + parseInt(match[4] || 0);
+  if (start >= end || end > 24 * 60) return null;
+  
+  return { start, end };
+}
+
+// Natural-language and relative date/time parsing for all date options
+class DateParser {
+  static get WEEKDAYS() {
+    return {
+      sun: 0, sunday: 0,
+      mon: 1, monday: 1,
+      tue: 2, tues: 2, tuesday: 2,
+      wed: 3, wednesday: 3,
+      thu: 4, thur: 4, thurs: 4, thursday: 4,
+      fri: 5, friday: 5,
+      sat: 6, saturday: 6
+    };
+  }
+
+  static get UNITS() {
+    return {
+      m: 1, min: 1, mins: 1, minute: 1, minutes: 1,
+      h: 60, hr: 60, hrs: 60, hour: 60, hours: 60,
+      d: 1440, day: 1440, days: 1440,
+      w: 10080, wk: 10080, week: 10080, weeks: 10080
+    };
+  }
+
+  /**
+   * Check whether a value is a plain calendar date (YYYY-MM-DD)
+   */
+  static isDateOnly(input) {
+    return typeof input === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(input.trim());
+  }
+
+  /**
+   * Parse a date option into a Date.
+   *
+   * Understands ISO strings (interpreted in `timeZone` when they carry no offset),
+   * plain dates, `now`, `today`/`tomorrow`/`yesterday`, weekday names with optional
+   * `next`/`this`, times like `3pm`, `15:30`, `noon`, and relative forms such as
+   * `+2h` or `in 30 minutes` (relative to `options.now`).
+   */
+  static parse(input, options = {}) {
+    const option = options.option || 'date';
+    const timeZone = options.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const now = options.now ? new Date(options.now) : new Date();
+    
+    if (input === undefined || input === null || input === true || String(input).trim() === '') {
+      throw new CalendarError('validation', `Missing value for ${option}`);
+    }
+    
+    const text = String(input).trim().toLowerCase().replace(/\s+/g, ' ');
+    const fail = () => new CalendarError('validation',
+      `Invalid ${option} value "${input}" (examples: 2026-01-15T10:00:00, 2026-01-15, tomorrow 3pm, next monday 10:00, friday, +2h, in 30 minutes)`
+    );
+    
+    if (text === 'now') {
+      return now;
+    }
+    
+    // Relative offsets: +2h, +1d, in 30 minutes, in an hour
+    const relative = text.match(/^(?:\+\s*|in\s+)(\d+|an?|one)\s*([a-z]+)$/);
+    if (relative) {
+      const amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1]) : 1;
+      const unit = this.UNITS[relative[2]];
+      if (unit === undefined) throw fail();
+      return new Date(now.getTime() + amount * unit * 60000);
+    }
+    
+    // Full ISO timestamps with an explicit offset are unambiguous
+    if (/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}(:\d{2}(\.\d+)?)?(z|[+-]\d{2}:?\d{2})$/.test(text)) {
+      const date = new Date(String(input).trim());
+      if (isNaN(date.getTime())) throw fail();
+      return date;
+    }
+    
+    // ISO timestamps without an offset are wall-clock times in the requested time zone
+    const local = text.match(/^(\d{4})-(\d{2})-(\d{2})t(\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (local) {
+      const [year, month, day, hour, minute] = local.slice(1, 6).map(n => parseInt(n));
+      if (!this.isValidDate(year, month, day) || hour > 23 || minute > 59) throw fail();
+      return zonedTimeToDate(year, month, day, hour, minute, timeZone);
+    }
+    
+    // "<day> [at] <time>", "<time> <day>", "<day>" or "<time>"
+    let day = null;
+    let time = null;
+    const dayFirst = text.match(/^((?:next|this) \S+|\S+)(?: (?:at )?(.+))?$/);
+    const timeFirst = text.match(/^(?:at )?(.+?) (?:on )?((?:next|this) \S+|\S+)$/);
+    
+    if (dayFirst && this.parseDay(dayFirst[1], now, timeZone)) {
+      day = this.parseDay(dayFirst[1], now, timeZone);
+      if (dayFirst[2]) {
+        time = this.parseTime(dayFirst[2]);
+        if (!time) throw fail();
+      }
+    } else if (this.parseTime(text.replace(/^at /, ''))) {
+      day = this.parseDay('today', now, timeZone);
+      time = this.parseTime(text.replace(/^at /, ''));
+    } else if (timeFirst && this.parseTime(timeFirst[1]) && this.parseDay(timeFirst[2], now, timeZone)) {
+      day = this.parseDay(timeFirst[2], now, timeZone);
+      time = this.parseTime(timeFirst[1]);
+    } else {
+      throw fail();
+    }
+    
+    if (text === 'tonight' && !time) {
+      time = { hour: 20, minute: 0 };
+    }
+    
+    return zonedTimeToDate(day.year, day.month, day.day, time ? time.hour : 0, time ? time.minute : 0, timeZone);
+  }
+
+  /**
+   * Resolve a day expression to a calendar date in the given time zone
+   */
+  static parseDay(text, now, timeZone) {
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) {
+      const [year, month, day] = iso.slice(1).map(n => parseInt(n));
+      return this.isValidDate(year, month, day) ? { year, month, day } : null;
+    }
+    
+    const today = getZonedParts(now, timeZone);
+    const shift = days => {
+      const date = new Date(Date.UTC(today.year, today.month - 1, today.day + days));
+      return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    };
+    
+    if (text === 'today' || text === 'tonight') return shift(0);
+    if (text === 'tomorrow') return shift(1);
+    if (text === 'yesterday') return shift(-1);
+    
+    const weekday = text.match(/^(?:(next|this) )?([a-z]+)$/);
+    if (weekday && this.WEEKDAYS[weekday[2]] !== undefined) {
+      const current = new Date(Date.UTC(today.year, today.month - 1, today.day)).getUTCDay();
+      let diff = (this.WEEKDAYS[weekday[2]] - current + 7) % 7;
+      // "next friday" always moves forward; a bare "friday" may mean today
+      if (weekday[1] === 'next' && diff === 0) diff = 7;
+      return shift(diff);
+    }
+    
+    return null;
+  }
+
+  /**
+   * Parse a time of day such as 3pm, 3:30 pm, 15:00, noon or midnight
+   */
+  static parseTime(text) {
+    if (text === 'noon' || text === 'midday') return { hour: 12, minute: 0 };
+    if (text === 'midnight') return { hour: 0, minute: 0 };
+    
+    const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+    if (!match) return null;
+    
+    let hour = parseInt(match[1]);
+    const minute = parseInt(match[2] || 0);
+    const meridiem = match[3] ? match[3].replace(/\./g, '') : null;
+    
+    if (!meridiem && !match[2] && hour > 23) return null;
+    if (minute > 59) return null;
+    
+    if (meridiem) {
+      if (hour < 1 || hour > 12) return null;
+      if (meridiem === 'am' && hour === 12) hour = 0;
+      if (meridiem === 'pm' && hour !== 12) hour += 12;
+    } else if (hour > 23) {
+      return null;
+    }
+    
+    return { hour, minute };
+  }
+
+  static isValidDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  }
+}
+
+// RRULE/EXDATE builder and human-readable descriptions for recurring events
+class Recurrence {
+  static get FREQUENCIES() {
+    return {
+      daily: 'DAILY',
+      weekly: 'WEEKLY',
+      monthly: 'MONTHLY',
+      yearly: 'YEARLY'
+    };
+  }
+
+  static get DAY_CODES() {
+    return ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+  }
+
+  static get DAY_NAMES() {
+    return { SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat' };
+  }
+
+  /**
+   * Build RRULE/EXDATE lines from --repeat, --every, --on, --until, --count,
+   * --except and --rrule. `start` is the event's API start object.
+   */
+  static build(args, start) {
+    const options = args.options;
+    const lines = [];
+    const timeZone = start.timeZone || getTimeZone(args, 'Asia/Hong_Kong');
+    const allDay = Boolean(start.date);
+    
+    if (options.rrule && options.rrule !== true) {
+      const raw = String(options.rrule).trim();
+      const rule = raw.toUpperCase().startsWith('RRULE:') ? raw : `RRULE:${raw}`;
+      if (!/^RRULE:FREQ=[A-Z]+/i.test(rule)) {
+        throw new CalendarError('validation', `Invalid --rrule value "${raw}" (example: FREQ=WEEKLY;BYDAY=MO,WE)`);
+      }
+      lines.push(rule);
+    } else if (options.repeat) {
+      lines.push(this.buildRule(args, timeZone, allDay));
+    } else if (options.every || options.on || options.until || options.count) {
+      throw new CalendarError('validation', '--every, --on, --until and --count require --repeat daily|weekly|monthly|yearly');
+    }
+    
+    if (options.except && options.except !== true) {
+      if (lines.length === 0) {
+        throw new CalendarError('validation', '--except requires --repeat or --rrule');
+      }
+      lines.push(this.buildExdate(String(options.except), start, timeZone));
+    }
+    
+    return lines;
+  }
+
+  static buildRule(args, timeZone, allDay) {
+    const options = args.options;
+    const freq = this.FREQUENCIES[String(options.repeat).toLowerCase()];
+    if (!freq) {
+      throw new CalendarError('validation', `Invalid --repeat value "${options.repeat}" (use: daily, weekly, monthly, yearly)`);
+    }
+    
+    const parts = [`FREQ=${freq}`];
+    
+    if (options.every) {
+      const interval = parseInt(options.every);
+      if (isNaN(interval) || interval < 1 || String(interval) !== String(options.every).trim()) {
+        throw new CalendarError('validation', `Invalid --every value "${options.every}" (must be a positive whole number)`);
+      }
+      if (interval > 1) {
+        parts.push(`INTERVAL=${interval}`);
+      }
+    }
+    
+    if (options.on && options.on !== true) {
+      const days = [];
+      const monthDays = [];
+      for (const item of String(options.on).toLowerCase().split(',').map(d => d.trim()).filter(Boolean)) {
+        // Plain numbers are days of the month; "1mon" / "-1fri" are nth weekdays
+        const monthDay = item.match(/^-?\d+$/);
+        const weekday = item.match(/^([+-]?\d)?([a-z]+)$/);
+        if (monthDay) {
+          const value = parseInt(item);
+          if (value === 0 || value < -31 || value > 31) {
+            throw new CalendarError('validation', `Invalid --on value "${item}" (days of the month are 1-31 or -1 for the last day)`);
+          }
+          monthDays.push(value);
+        } else if (weekday && DateParser.WEEKDAYS[weekday[2]] !== undefined) {
+          days.push(`${weekday[1] ? parseInt(weekday[1]) : ''}${this.DAY_CODES[DateParser.WEEKDAYS[weekday[2]]]}`);
+        } else {
+          throw new CalendarError('validation', `Invalid --on value "${item}" (examples: mon,wed,fri or 1,15 or 1mon,-1fri)`);
+        }
+      }
+      if (days.length > 0) parts.push(`BYDAY=${days.join(',')}`);
+      if (monthDays.length > 0) parts.push(`BYMONTHDAY=${monthDays.join(',')}`);
+    }
+    
+    if (options.until && options.count) {
+      throw new CalendarError('validation', 'Use either --until or --count, not both');
+    }
+    
+    if (options.until) {
+      if (allDay) {
+        const until = DateParser.isDateOnly(options.until) ? options.until.trim() :
+          formatLocalDate(DateParser.parse(options.until, { timeZone, option: '--until' }), timeZone);
+        parts.push(`UNTIL=${until.replace(/-/g, '')}`);
+      } else {
+        // A plain date means "through the end of that day"
+        let until = DateParser.parse(options.until, { timeZone, option: '--until' });
+        if (DateParser.isDateOnly(options.until)) {
+          until = DateParser.parse(`${addDays(options.until.trim(), 1)}T00:00:00`, { timeZone });
+          until = new Date(until.getTime() - 1000);
+        }
+        parts.push(`UNTIL=${this.formatUtc(until)}`);
+      }
+    }
+    
+    if (options.count) {
+      const count = parseInt(options.count);
+      if (isNaN(count) || count < 1) {
+        throw new CalendarError('validation', `Invalid --count value "${options.count}" (must be a positive whole number)`);
+      }
+      parts.push(`COUNT=${count}`);
+    }
+    
+    return `RRULE:${parts.join(';')}`;
+  }
+
+  static buildExdate(value, start, timeZone) {
+    const dates = value.split(',').map(d => d.trim()).filter(Boolean);
+    
+    if (start.date) {
+      const values = dates.map(d => (DateParser.isDateOnly(d) ? d :
+        formatLocalDate(DateParser.parse(d, { timeZone, option: '--except' }), timeZone)).replace(/-/g, ''));
+      return `EXDATE;VALUE=DATE:${values.join(',')}`;
+    }
+    
+    // Excluded occurrences must match the series' start time of day
+    const time = start.dateTime.slice(11, 19).replace(/:/g, '');
+    const values = dates.map(d => {
+      const day = DateParser.isDateOnly(d) ? d :
+        formatLocalDate(DateParser.parse(d, { timeZone, option: '--except' }), timeZone);
+      return `${day.replace(/-/g, '')}T${time}`;
+    });
+    return `EXDATE;TZID=${timeZone}:${values.join(',')}`;
+  }
+
+  static formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Parse an iCalendar date or date-time value (20260303, 20260303T100000Z)
+   */
+  static parseValue(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+    if (!match) return null;
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map(n => parseInt(n || 0));
+    if (match[7]) {
+      return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    }
+    return new Date(year, month - 1, day, hour, minute, second);
+  }
+
+  /**
+   * Parse an RRULE line into an object of its parts (FREQ, INTERVAL, ...)
+   */
+  static parseRule(line) {
+    const rule = {};
+    for (const part of line.replace(/^RRULE:/i, '').split(';')) {
+      const [key, value] = part.split('=');
+      if (key) rule[key.toUpperCase()] = value;
+    }
+    return rule;
+  }
+
+  static formatRule(rule) {
+    return `RRULE:${Object.entries(rule).map(([key, value]) => `${key}=${value}`).join(';')}`;
+  }
+
+  /**
+   * Split recurrence lines at an occurrence, returning the rules for the part
+   * before it (`head`) and for the new series starting at it (`tail`).
+   * `originalStart` is the occurrence's originalStartTime; `prior` is the number
+   * of occurrences before it (only needed for COUNT-based rules).
+   */
+  static split(recurrence, originalStart, prior) {
+    const head = [];
+    const tail = [];
+    
+    for (const line of recurrence) {
+      if (!line.toUpperCase().startsWith('RRULE:')) {
+        head.push(line);
+        tail.push(line);
+        continue;
+      }
+      
+      const rule = this.parseRule(line);
+      const headRule = { ...rule };
+      const tailRule = { ...rule };
+      
+      if (rule.COUNT) {
+        headRule.COUNT = String(prior);
+        tailRule.COUNT = String(Math.max(1, parseInt(rule.COUNT) - prior));
+      } else {
+        headRule.UNTIL = originalStart.date ?
+          addDays(originalStart.date, -1).replace(/-/g, '') :
+          this.formatUtc(new Date(new Date(originalStart.dateTime).getTime() - 1000));
+      }
+      
+      head.push(this.formatRule(headRule));
+      tail.push(this.formatRule(tailRule));
+    }
+    
+    return { head, tail };
+  }
+
+  /**
+   * Describe recurrence lines, e.g. "Every 2 weeks on Mon, Wed until Mar 3"
+   */
+  static describe(recurrence) {
+    if (!recurrence || recurrence.length === 0) return '';
+    
+    const ruleLine = recurrence.find(line => line.toUpperCase().startsWith('RRULE:'));
+    if (!ruleLine) return '';
+    
+    const rule = this.parseRule(ruleLine);
+    
+    const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year', HOURLY: 'hour', MINUTELY: 'minute' };
+    const unit = units[rule.FREQ] || (rule.FREQ || '').toLowerCase();
+    const interval = parseInt(rule.INTERVAL || 1);
+    let text = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+    
+    if (rule.BYDAY) {
+      const ordinals = { '1': '1st', '2': '2nd', '3': '3rd', '4': '4th', '5': '5th', '-1': 'last', '-2': '2nd to last' };
+      const days = rule.BYDAY.split(',').map(day => {
+        const match = day.match(/^([+-]?\d+)?([A-Z]{2})$/);
+        if (!match) return day;
+        const name = this.DAY_NAMES[match[2]] || match[2];
+        const ordinal = match[1] ? parseInt(match[1]).toString() : null;
+        return ordinal ? `${ordinals[ordinal] || `${ordinal}th`} ${name}` : name;
+      });
+      text += ` on ${days.join(', ')}`;
+    }
+    
+    if (rule.BYMONTHDAY) {
+      const days = rule.BYMONTHDAY.split(',');
+      const labels = days.map(day => (day === '-1' ? 'last' : day));
+      text += days.length === 1 && days[0] === '-1' ? ' on the last day' :
+        ` on day${days.length > 1 ? 's' : ''} ${labels.join(', ')}`;
+    }
+    
+    if (rule.BYMONTH) {
+      const months = rule.BYMONTH.split(',').map(m => new Date(2000, parseInt(m) - 1, 1)
+        .toLocaleDateString('en-US', { month: 'short' }));
+      text += ` in ${months.join(', ')}`;
+    }
+    
+    if (rule.UNTIL) {
+      const until = this.parseValue(rule.UNTIL);
+      if (until) {
+        const options = { month: 'short', day: 'numeric' };
+        if (until.getFullYear() !== new Date().getFullYear()) options.year = 'numeric';
+        text += ` until ${until.toLocaleDateString('en-US', options)}`;
+      }
+    }
+    
+    if (rule.COUNT) {
+      text += `, ${rule.COUNT} time${rule.COUNT === '1' ? '' : 's'}`;
+    }
+    
+    const exdates = recurrence
+      .filter(line => line.toUpperCase().startsWith('EXDATE'))
+      .flatMap(line => line.slice(line.indexOf(':') + 1).split(','))
+      .map(value => this.parseValue(value))
+      .filter(Boolean);
+    if (exdates.length > 0) {
+      const skipped = exdates.map(d => d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+      text += ` (except ${skipped.join(', ')})`;
+    }
+    
+    return text;
+  }
+}
+
+// iCalendar (RFC 5545) serialization
+class ICalendar {
+  static get PRODID() {
+    return '-//cnrai//openpave-gcal//EN';
+  }
+
+  // Years of DST transitions written for a series, counted from its first occurrence
+  static get OPEN_SERIES_YEARS() {
+    return 20;
+  }
+
+  static get PARTSTAT() {
+    return {
+      accepted: 'ACCEPTED',
+      declined: 'DECLINED',
+      tentative: 'TENTATIVE',
+      needsAction: 'NEEDS-ACTION'
+    };
+  }
+
+  /**
+   * Escape a TEXT value (backslash, semicolon, comma and newlines)
+   */
+  static escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r\n|\r|\n/g, '\\n');
+  }
+
+  /**
+   * Quote a parameter value when it contains characters that need it
+   */
+  static quoteParam(value) {
+    const clean = String(value).replace(/"/g, "'");
+    return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+  }
+
+  /**
+   * Fold a content line at 75 octets without splitting UTF-8 characters
+   */
+  static foldLine(line) {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    
+    for (const char of line) {
+      const size = Buffer.byteLength(char, 'utf8');
+      // Continuation lines start with a space, which counts towards their 75 octets
+      const limit = parts.length === 0 ? 75 : 74;
+      if (bytes + size > limit) {
+        parts.push(current);
+        current = '';
+        bytes = 0;
+      }
+      current += char;
+      bytes += size;
+    }
+    parts.push(current);
+    
+    return parts.join('\r\n ');
+  }
+
+  static formatUtc(date) {
+    return Recurrence.formatUtc(date);
+  }
+
+  static formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Format an API start/end object as a DTSTART/DTEND-style property
+   */
+  static formatDateProperty(name, value, timeZone) {
+    if (value.date) {
+      return `${name};VALUE=DATE:${value.date.replace(/-/g, '')}`;
+    }
+    
+    const date = new Date(value.dateTime);
+    const zone = value.timeZone || timeZone;
+    if (!zone || zone === 'UTC') {
+      return `${name}:${this.formatUtc(date)}`;
+    }
+    return `${name};TZID=${zone}:${formatLocalDateTime(date, zone).replace(/[-:]/g, '')}`;
+  }
+
+  /**
+   * Build a VTIMEZONE block with explicit observances for the given years
+   */
+  static buildTimezone(timeZone, fromYear, toYear) {
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    // Offset changes are months apart, so probing weekly finds each one
+    const step = 7 * 24 * 60 * 60 * 1000;
+    const offsetAt = time => getTimeZoneOffset(new Date(time), timeZone);
+    const initial = offsetAt(Date.UTC(fromYear, 0, 1));
+    const transitions = [];
+    
+    let previous = initial;
+    for (let time = Date.UTC(fromYear, 0, 1) + step; time <= Date.UTC(toYear + 1, 0, 1); time += step) {
+      const offset = offsetAt(time);
+      if (offset === previous) continue;
+      
+      // Narrow the change down to the minute
+      let low = time - step;
+      let high = time;
+      while (high - low > 60000) {
+        const mid = low + Math.floor((high - low) / 120000) * 60000;
+        if (offsetAt(mid) === previous) low = mid; else high = mid;
+      }
+      
+      transitions.push({ at: high, from: previous, to: offset });
+      previous = offset;
+    }
+    
+    const offsets = [initial, ...transitions.map(t => t.to)];
+    const daylight = Math.max(...offsets);
+    const observance = (local, from, to) => {
+      const type = transitions.length > 0 && to === daylight && from !== to ? 'DAYLIGHT' : 'STANDARD';
+      lines.push(`BEGIN:${type}`, `DTSTART:${local}`, `TZOFFSETFROM:${this.formatOffset(from)}`,
+        `TZOFFSETTO:${this.formatOffset(to)}`, `END:${type}`);
+    };
+    
+    // The offset in effect before the first transition, then each change as local wall time
+    observance('19700101T000000', initial, initial);
+    for (const transition of transitions) {
+      const local = new Date(transition.at + transition.from * 60000).toISOString().replace(/[-:]/g, '').slice(0, 15);
+      observance(local, transition.from, transition.to);
+    }
+    
+    lines.push('END:VTIMEZONE');
+    return lines;
+  }
+
+  /**
+   * Build VEVENT lines for an API event. `cancelled` holds originalStartTime values of
+   * cancelled occurrences (written as EXDATE); `defaultReminders` apply when the event
+   * uses the calendar's defaults.
+   */
+  static buildEvent(event, options = {}) {
+    const formatted = EventFormatter.format(event);
+    const timeZone = options.timeZone;
+    const lines = ['BEGIN:VEVENT'];
+    
+    lines.push(`UID:${event.iCalUID || `${event.id}@google.com`}`);
+    lines.push(`DTSTAMP:${this.formatUtc(event.updated ? new Date(event.updated) : new Date())}`);
+    if (event.created) lines.push(`CREATED:${this.formatUtc(new Date(event.created))}`);
+    if (event.updated) lines.push(`LAST-MODIFIED:${this.formatUtc(new Date(event.updated))}`);
+    
+    lines.push(this.formatDateProperty('DTSTART', event.start, timeZone));
+    if (event.end) lines.push(this.formatDateProperty('DTEND', event.end, timeZone));
+    
+    if (event.originalStartTime) {
+      lines.push(this.formatDateProperty('RECURRENCE-ID', event.originalStartTime, timeZone));
+    }
+    
+    for (const line of formatted.recurrence || []) {
+      lines.push(line);
+    }
+    for (const original of options.cancelled || []) {
+      lines.push(this.formatDateProperty('EXDATE', original, timeZone));
+    }
+    
+    lines.push(`SUMMARY:${this.escapeText(formatted.summary)}`);
+    if (formatted.description) lines.push(`DESCRIPTION:${this.escapeText(formatted.description)}`);
+    if (formatted.location) lines.push(`LOCATION:${this.escapeText(formatted.location)}`);
+    if (formatted.status) lines.push(`STATUS:${formatted.status.toUpperCase()}`);
+    if (event.transparency === 'transparent') lines.push('TRANSP:TRANSPARENT');
+    if (formatted.htmlLink) lines.push(`URL:${formatted.htmlLink}`);
+    
+    if (formatted.organizer && formatted.organizer.email) {
+      const cn = formatted.organizer.displayName ? `;CN=${this.quoteParam(formatted.organizer.displayName)}` : '';
+      lines.push(`ORGANIZER${cn}:mailto:${formatted.organizer.email}`);
+    }
+    
+    for (const attendee of formatted.attendees) {
+      if (!attendee.email) continue;
+      const params = [];
+      if (attendee.displayName) params.push(`CN=${this.quoteParam(attendee.displayName)}`);
+      params.push(`ROLE=${attendee.optional ? 'OPT-PARTICIPANT' : 'REQ-PARTICIPANT'}`);
+      params.push(`PARTSTAT=${this.PARTSTAT[attendee.responseStatus] || 'NEEDS-ACTION'}`);
+      if (attendee.resource) params.push('CUTYPE=RESOURCE');
+      lines.push(`ATTENDEE;${params.join(';')}:mailto:${attendee.email}`);
+    }
+    
+    // Calendar default reminders only apply to timed events
+    const defaults = formatted.isAllDay ? [] : options.defaultReminders || [];
+    const reminders = formatted.reminders && !formatted.reminders.useDefault ?
+      formatted.reminders.overrides || [] : defaults;
+    for (const reminder of reminders) {
+      lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${this.escapeText(formatted.summary)}`,
+        `TRIGGER:-PT${reminder.minutes}M`, 'END:VALARM');
+    }
+    
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  /**
+   * Reverse escapeText
+   */
+  static unescapeText(value) {
+    return String(value).replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+
+  /**
+   * Parse a content line into { name, params, value }, honouring quoted parameter values
+   */
+  static parseLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) {
+        colon = i;
+        break;
+      }
+    }
+    if (colon === -1) return null;
+    
+    const head = line.slice(0, colon);
+    const parts = head.match(/(?:[^;"]+|"[^"]*")+/g) || [head];
+    const params = {};
+    for (const part of parts.slice(1)) {
+      const eq = part.indexOf('=');
+      if (eq === -1) continue;
+      params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+    
+    return { name: parts[0].toUpperCase(), params, value: line.slice(colon + 1), raw: line };
+  }
+
+  /**
+   * Parse an iCalendar document into a tree of { type, properties, components }
+   */
+  static parse(text) {
+    const lines = String(text).replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const root = { type: 'ROOT', properties: [], components: [] };
+    const stack = [root];
+    
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      const prop = this.parseLine(line);
+      if (!prop) continue;
+      
+      const current = stack[stack.length - 1];
+      if (prop.name === 'BEGIN') {
+        const component = { type: prop.value.toUpperCase(), properties: [], components: [] };
+        current.components.push(component);
+        stack.push(component);
+      } else if (prop.name === 'END') {
+        if (stack.length > 1) stack.pop();
+      } else {
+        current.properties.push(prop);
+      }
+    }
+    
+    return root;
+  }
+
+  /**
+   * Parse an iCalendar duration (e.g. PT1H30M, P1D, -PT15M) into minutes
+   */
+  static parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+    if (!match) return null;
+    const [weeks, days, hours, minutes, seconds] = match.slice(2).map(n => parseInt(n || 0));
+    const total = weeks * 10080 + days * 1440 + hours * 60 + minutes + Math.round(seconds / 60);
+    return match[1] === '-' ? -total : total;
+  }
+
+  /**
+   * Convert a DTSTART/DTEND-style property into an API start/end object
+   */
+  static toApiDate(prop, fallbackTimeZone, warnings) {
+    const value = prop.value.trim();
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+    if (!match) {
+      throw new CalendarError('validation', `Unsupported ${prop.name} value "${value}"`);
+    }
+    
+    const [, year, month, day, hour, minute, second, utc] = match;
+    if (!hour || prop.params.VALUE === 'DATE') {
+      return { date: `${year}-${month}-${day}` };
+    }
+    
+    const local = `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+    if (utc) {
+      return { dateTime: `${local}Z` };
+    }
+    
+    let timeZone = prop.params.TZID;
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      warnings.push(`Unknown TZID "${timeZone}", using ${fallbackTimeZone}`);
+      timeZone = null;
+    }
+    return { dateTime: local, timeZone: timeZone || fallbackTimeZone };
+  }
+
+  /**
+   * Map a VEVENT component to a Calendar API event body
+   */
+  static toEvent(vevent, options = {}) {
+    const fallbackTimeZone = options.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const warnings = [];
+    const get = name => vevent.properties.find(prop => prop.name === name);
+    const all = name => vevent.properties.filter(prop => prop.name === name);
+    const event = {};
+    
+    const uid = get('UID');
+    if (uid) event.iCalUID = uid.value.trim();
+    
+    const dtstart = get('DTSTART');
+    if (!dtstart) {
+      throw new CalendarError('validation', 'VEVENT has no DTSTART');
+    }
+    event.start = this.toApiDate(dtstart, fallbackTimeZone, warnings);
+    
+    const dtend = get('DTEND');
+    const duration = get('DURATION');
+    if (dtend) {
+      event.end = this.toApiDate(dtend, fallbackTimeZone, warnings);
+    } else if (event.start.date) {
+      const minutes = duration ? this.parseDuration(duration.value) : null;
+      event.end = { date: addDays(event.start.date, minutes ? Math.max(1, Math.round(minutes / 1440)) : 1) };
+    } else {
+      const minutes = duration ? this.parseDuration(duration.value) || 0 : 0;
+      const startDate = event.start.timeZone ?
+        DateParser.parse(event.start.dateTime, { timeZone: event.start.timeZone }) : new Date(event.start.dateTime);
+      const endDate = new Date(startDate.getTime() + minutes * 60000);
+      event.end = event.start.timeZone ?
+        { dateTime: formatLocalDateTime(endDate, event.start.timeZone), timeZone: event.start.timeZone } :
+        { dateTime: endDate.toISOString() };
+    }
+    
+    const summary = get('SUMMARY');
+    if (summary) event.summary = this.unescapeText(summary.value);
+    const description = get('DESCRIPTION');
+    if (description) event.description = this.unescapeText(description.value);
+    const location = get('LOCATION');
+    if (location) event.location = this.unescapeText(location.value);
+    
+    const status = get('STATUS');
+    if (status && ['CONFIRMED', 'TENTATIVE', 'CANCELLED'].includes(status.value.toUpperCase())) {
+      event.status = status.value.toLowerCase();
+    }
+    
+    const transp = get('TRANSP');
+    if (transp && transp.value.toUpperCase() === 'TRANSPARENT') {
+      event.transparency = 'transparent';
+    }
+    
+    const sequence = get('SEQUENCE');
+    if (sequence && !isNaN(parseInt(sequence.value))) {
+      event.sequence = parseInt(sequence.value);
+    }
+    
+    // Recurrence lines are passed through as written (RRULE, EXDATE, RDATE)
+    const recurrence = vevent.properties
+      .filter(prop => ['RRULE', 'EXDATE', 'RDATE', 'EXRULE'].includes(prop.name))
+      .map(prop => prop.raw);
+    if (recurrence.length > 0) event.recurrence = recurrence;
+    
+    const mailto = value => value.replace(/^mailto:/i, '').trim();
+    const organizer = get('ORGANIZER');
+    if (organizer) {
+      event.organizer = { email: mailto(organizer.value) };
+      if (organizer.params.CN) event.organizer.displayName = organizer.params.CN;
+    }
+    
+    const partstat = {};
+    for (const [key, value] of Object.entries(this.PARTSTAT)) partstat[value] = key;
+    const attendees = all('ATTENDEE').map(prop => {
+      const attendee = { email: mailto(prop.value) };
+      if (prop.params.CN) attendee.displayName = prop.params.CN;
+      if (prop.params.ROLE === 'OPT-PARTICIPANT') attendee.optional = true;
+      if (prop.params.CUTYPE === 'RESOURCE' || prop.params.CUTYPE === 'ROOM') attendee.resource = true;
+      attendee.responseStatus = partstat[(prop.params.PARTSTAT || '').toUpperCase()] || 'needsAction';
+      return attendee;
+    }).filter(attendee => attendee.email);
+    if (attendees.length > 0) event.attendees = attendees;
+    
+    // Relative VALARM triggers become popup reminders
+    const overrides = [];
+    for (const alarm of vevent.components.filter(c => c.type === 'VALARM')) {
+      const trigger = alarm.properties.find(prop => prop.name === 'TRIGGER');
+      const minutes = trigger && !trigger.params.VALUE ? this.parseDuration(trigger.value) : null;
+      if (minutes !== null && minutes <= 0) {
+        overrides.push({ method: 'popup', minutes: -minutes });
+      }
+    }
+    if (overrides.length > 0) {
+      event.reminders = { useDefault: false, overrides: overrides.slice(0, 5) };
+    }
+    
+    // A RECURRENCE-ID marks a changed (or, with STATUS:CANCELLED, removed) occurrence of a series
+    const recurrenceId = get('RECURRENCE-ID');
+    const originalStart = recurrenceId ? this.toApiDate(recurrenceId, fallbackTimeZone, warnings) : null;
+    
+    return { event, warnings, isOverride: Boolean(recurrenceId), originalStart };
+  }
+
+  /**
+   * Serialize events (fetched with singleEvents=false) into an iCalendar document
+   */
+  static build(events, options = {}) {
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${this.PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    if (options.name) lines.push(`X-WR-CALNAME:${this.escapeText(options.name)}`);
+    if (options.timeZone) lines.push(`X-WR-TIMEZONE:${options.timeZone}`);
+    
+    // Cancelled occurrences become EXDATEs on their series
+    const cancelled = {};
+    const active = [];
+    for (const event of events) {
+      if (event.status === 'cancelled' && event.recurringEventId) {
+        (cancelled[event.recurringEventId] = cancelled[event.recurringEventId] || []).push(event.originalStartTime);
+      } else if (event.status !== 'cancelled') {
+        active.push(event);
+      }
+    }
+    
+    // Emit a VTIMEZONE for every zone referenced by a TZID, covering every year an
+    // occurrence can fall in (a series until its UNTIL, at most OPEN_SERIES_YEARS)
+    const zones = new Set();
+    const years = [];
+    for (const event of active) {
+      for (const value of [event.start, event.end, event.originalStartTime]) {
+        if (!value || !value.dateTime) continue;
+        const zone = value.timeZone || options.timeZone;
+        if (zone && zone !== 'UTC') zones.add(zone);
+        years.push(new Date(value.dateTime).getUTCFullYear());
+      }
+      for (const line of event.recurrence || []) {
+        const match = /TZID=([^:;]+)/.exec(line);
+        if (match) zones.add(match[1]);
+        
+        if (/^RRULE:/.test(line) && event.start && event.start.dateTime) {
+          const startYear = new Date(event.start.dateTime).getUTCFullYear();
+          const until = /UNTIL=(\d{4})/.exec(line);
+          years.push(Math.min(until ? parseInt(until[1]) : Infinity, startYear + this.OPEN_SERIES_YEARS));
+        }
+      }
+    }
+    const fromYear = years.length > 0 ? Math.min(...years) : new Date().getFullYear();
+    const toYear = years.length > 0 ? Math.max(...years) : fromYear;
+    for (const zone of zones) {
+      lines.push(...this.buildTimezone(zone, fromYear, toYear));
+    }
+    
+    for (const event of active) {
+      lines.push(...this.buildEvent(event, {
+        timeZone: options.timeZone,
+        defaultReminders: options.defaultReminders,
+        cancelled: cancelled[event.id]
+      }));
+    }
+    
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+}
+
+// Error with a type callers can act on; each type has its own exit code
+class CalendarError extends Error {
+  constructor(type, message, details = {}) {
+    super(message);
+    this.name = 'CalendarError';
+    this.type = type;
+    this.status = details.status;
+    this.reason = details.reason;
+    this.data = details.data;
+    this.hints = details.hints || [];
+    this.extra = details.extra || {};
+  }
+
+  /**
+   * Exit code for each error type (1 is any other failure, including partial ones)
+   */
+  static get EXIT_CODES() {
+    return {
+      error: 1,
+      validation: 2,
+      auth: 3,
+      permission: 4,
+      'not-found': 5,
+      conflict: 6,
+      'rate-limit': 7,
+      network: 8,
+      server: 9
+    };
+  }
+
+  /**
+   * Google API error reasons (error.errors[].reason) that decide the type
+   */
+  static get REASON_TYPES() {
+    return {
+      authError: 'auth',
+      invalidCredentials: 'auth',
+      rateLimitExceeded: 'rate-limit',
+      userRateLimitExceeded: 'rate-limit',
+      quotaExceeded: 'rate-limit',
+      dailyLimitExceeded: 'rate-limit',
+      calendarUsageLimitsExceeded: 'rate-limit',
+      forbidden: 'permission',
+      insufficientPermissions: 'permission',
+      requiredAccessLevel: 'permission',
+      forbiddenForNonOrganizer: 'permission',
+      notFound: 'not-found',
+      deleted: 'not-found',
+      duplicate: 'conflict',
+      conditionNotMet: 'conflict',
+      invalid: 'validation',
+      required: 'validation',
+      badRequest: 'validation',
+      timeRangeEmpty: 'validation'
+    };
+  }
+
+  /**
+   * Build the error for a failed API response, typed by reason and then by status
+   */
+  static fromResponse(status, statusText, data = {}) {
+    const reason = data.error?.errors?.[0]?.reason;
+    let type = this.REASON_TYPES[reason];
+    
+    if (!type) {
+      if (status === 401) type = 'auth';
+      else if (status === 403) type = 'permission';
+      else if (status === 404 || status === 410) type = 'not-found';
+      else if (status === 409 || status === 412) type = 'conflict';
+      else if (status === 429) type = 'rate-limit';
+      else if (status >= 500) type = 'server';
+      else if (status >= 400) type = 'validation';
+      else type = 'error';
+    }
+    
+    // Tokens authorized before the calendar scope was added cannot manage calendars or sharing
+    const hints = reason === 'insufficientPermissions' ?
+      ['💡 The token is missing an OAuth scope: re-authorize google-calendar with the scopes listed in skill.yaml'] : [];
+    
+    const error = new CalendarError(type, data.error?.message || `HTTP ${status}: ${statusText}`, { status, reason, data, hints });
+    error.code = data.error?.code;
+    return error;
+  }
+
+  /**
+   * Wrap any thrown error; plain errors are typed from their message where possible
+   */
+  static from(error) {
+    if (error instanceof CalendarError) {
+      return error;
+    }
+    
+    const message = error.message || String(error);
+    const type = /timed? ?out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|network/i.test(message) ? 'network' : 'error';
+    return new CalendarError(type, message);
+  }
+
+  get exitCode() {
+    return CalendarError.EXIT_CODES[this.type] || 1;
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      message: this.message,
+      status: this.status || null,
+      reason: this.reason || null,
+      ...this.extra
+    };
+  }
+}
+
+// Date-window queries shared by the API client and the local cache, both of which provide listEvents
+class EventSource {
+  /**
+   * Get today's events
+   */
+  getTodayEvents(calendarId = 'primary', options = {}) {
+    const now = new Date();
+    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+
+    return this.listEvents(calendarId, {
+      timeMin: startOfDay.toISOString(),
+      timeMax: endOfDay.toISOString(),
+      maxResults: options.maxResults || 50,
+      ...options
+    });
+  }
+
+  /**
+   * Get upcoming events (next N days)
+   */
+  getUpcomingEvents(days = 7, calendarId = 'primary', options = {}) {
+    const now = new Date();
+    const endDate = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+    return this.listEvents(calendarId, {
+      timeMin: now.toISOString(),
+      timeMax: endDate.toISOString(),
+      maxResults: options.maxResults || 100,
+      ...options
+    });
+  }
+
+  /**
+   * Search events across timeframe
+   */
+  searchEvents(query, options = {}) {
+    const calendarId = options.calendar || 'primary';
+    return this.listEvents(calendarId, {
+      q: query,
+      timeMin: options.timeMin,
+      timeMax: options.timeMax,
+      maxResults: options.maxResults || 50,
+      ...options
+    });
+  }
+}
+
+// Calendar API client using secure tokens
+class CalendarClient extends EventSource {
+  constructor(options = {}) {
+    super();
+
+    // Check if secure token system is available
+    if (typeof hasToken === 'undefined') {
+      throw new CalendarError('auth', 'Secure token system not available. Use: pave-run gcal.js');
+    }
+
+    if (!hasToken('google-calendar')) {
+      console.error('Google Calendar token not configured.');
+      console.error('');
+      console.error('Add to ~/.pave/permissions.yaml:');
+      console.error(`tokens:
+  google-calendar:
+    env: GOOGLE_CALENDAR_ACCESS_TOKEN
+    type: oauth
+    domains:
+      - www.googleapis.com
+      - "*.googleapis.com"
+    placement:
+      type: header
+      name: Authorization
+      format: "Bearer {token}"
+    refreshEnv: GOOGLE_CALENDAR_REFRESH_TOKEN
+    refreshUrl: https://oauth2.googleapis.com/token
+    clientIdEnv: GOOGLE_CALENDAR_CLIENT_ID
+    clientSecretEnv: GOOGLE_CALENDAR_CLIENT_SECRET`);
+      console.error('');
+      console.error('Then set environment variables:');
+      console.error('  GOOGLE_CALENDAR_CLIENT_ID, GOOGLE_CALENDAR_CLIENT_SECRET, GOOGLE_CALENDAR_REFRESH_TOKEN');
+      throw new CalendarError('auth', 'Google Calendar token not configured', {
+        hints: ['💡 Configure google-calendar token in ~/.pave/permissions.yaml']
+      });
+    }
+
+    this.baseUrl = 'https://www.googleapis.com/calendar/v3';
+    
+    // With dryRun, writes are recorded in `planned` instead of being sent
+    this.dryRun = Boolean(options.dryRun);
+    this.planned = [];
+    
+    // Which guests Google emails about event writes (see --notify)
+    this.sendUpdates = options.sendUpdates;
+    
+    this.maxRetries = requestSettings.maxRetries;
+    this.timeout = requestSettings.timeout;
+  }
+
+  /**
+   * Error reasons Google uses for rate limiting on a 403
+   */
+  static get RATE_LIMIT_REASONS() {
+    return ['rateLimitExceeded', 'userRateLimitExceeded'];
+  }
+
+  /**
+   * Upper bound for the exponential backoff between retries
+   */
+  static get MAX_BACKOFF_MS() {
+    return 32000;
+  }
+
+  /**
+   * Longest Retry-After that is waited out; anything longer fails right away
+   */
+  static get MAX_RETRY_AFTER_MS() {
+    return 60000;
+  }
+
+  // sendUpdates values the API accepts for each --notify choice
+  static get SEND_UPDATES() {
+    return { all: 'all', external: 'externalOnly', none: 'none' };
+  }
+
+  /**
+   * Whether a failed call should be tried again. Rate-limit refusals were never
+   * processed, so any call can be retried; after a server error only calls that are
+   * safe to repeat are (`idempotent`).
+   */
+  isRetryable(error, idempotent) {
+    if (error.status === 429 || (error.status === 403 && CalendarClient.RATE_LIMIT_REASONS.includes(error.reason))) {
+      return true;
+    }
+    return idempotent && error.status >= 500;
+  }
+
+  /**
+   * Wait before the next attempt: Retry-After when the server sent one, otherwise
+   * exponential backoff (1s, 2s, 4s, ...) with jitter
+   */
+  backoff(attempt, retryAfter, reason) {
+    const exponential = Math.min(CalendarClient.MAX_BACKOFF_MS, 1000 * 2 ** (attempt - 1));
+    const delay = retryAfter !== null ? retryAfter : Math.round(exponential / 2 + Math.random() * exponential / 2);
+    
+    console.error(`⏳ ${reason}, retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt} of ${this.maxRetries})`);
+    sleep(delay);
+  }
+
+  /**
+   * Make authenticated request to Calendar API
+   */
+  request(endpoint, options = {}) {
+    const { responseType, idempotent: idempotentOption, ...fetchOptions } = options;
+    const url = endpoint.startsWith('https://') ? endpoint : `${this.baseUrl}${endpoint}`;
+    const method = (options.method || 'GET').toUpperCase();
+    
+    // freeBusy is a read even though it is a POST
+    if (this.dryRun && method !== 'GET' && endpoint !== '/freeBusy') {
+      const body = options.body ? JSON.parse(options.body) : undefined;
+      this.planned.push({ method, url, body });
+      return method === 'DELETE' ? {} : { id: '(dry-run)', ...body };
+    }
+    
+    // Inserts, quickAdd and move are POSTs that could be applied twice; freeBusy is a read
+    const idempotent = idempotentOption !== undefined ? idempotentOption :
+      (method !== 'POST' || endpoint === '/freeBusy');
+    
+    for (let attempt = 1; ; attempt++) {
+      const started = Date.now();
+      let response;
+      
+      try {
+        response = authenticatedFetch('google-calendar', url, {
+          timeout: this.timeout,
+          ...fetchOptions
+        });
+      } catch (error) {
+        if (error.message.includes('Network permission denied')) {
+          throw new CalendarError('network', 'Network permission required: --allow-network=googleapis.com');
+        }
+        
+        // Timeouts and dropped connections: the request may or may not have been applied
+        debugLog(`${method} ${url} failed after ${Date.now() - started}ms (attempt ${attempt}): ${error.message}`);
+        const failure = CalendarError.from(error);
+        if (failure.type !== 'network' || !idempotent || attempt > this.maxRetries) {
+          throw failure;
+        }
+        this.backoff(attempt, null, error.message);
+        continue;
+      }
+      
+      debugLog(`${method} ${url} -> ${response.status} in ${Date.now() - started}ms (attempt ${attempt})`);
+      
+      if (response.ok) {
+        // Batch replies are multipart text; null tells the caller the sandbox response has no text()
+        if (responseType === 'text') {
+          return typeof response.text === 'function' ? response.text() : null;
+        }
+        return response.json();
+      }
+      
+      let data;
+      try {
+        data = response.json() || {};
+      } catch (e) {
+        data = {};
+      }
+      const err = CalendarError.fromResponse(response.status, response.statusText, data);
+      
+      // A retried DELETE that finds the event gone means an earlier attempt went through
+      if (attempt > 1 && method === 'DELETE' && (err.status === 404 || err.status === 410)) {
+        return {};
+      }
+      
+      const retryAfter = getRetryAfter(response);
+      if (attempt > this.maxRetries || !this.isRetryable(err, idempotent) ||
+          (retryAfter !== null && retryAfter > CalendarClient.MAX_RETRY_AFTER_MS)) {
+        throw err;
+      }
+      this.backoff(attempt, retryAfter, err.reason ? `HTTP ${err.status} ${err.reason}` : `HTTP ${err.status}`);
+    }
+  }
+
+  /**
+   * Most calls sent in one batch request (Google allows up to 1000 but recommends fewer)
+   */
+  static get BATCH_LIMIT() {
+    return 50;
+  }
+
+  /**
+   * Send calls ({ method, endpoint, body }) through the batch endpoint, BATCH_LIMIT at a
+   * time. Returns one { status, ok, body, error } per call, in order. Calls refused for
+   * rate limiting are sent again in a later batch, like single requests. Where the batch
+   * reply cannot be read, the remaining calls are sent one by one.
+   */
+  batch(calls) {
+    if (this.dryRun) {
+      return calls.map(call => this.sendOne(call));
+    }
+    
+    const results = new Array(calls.length);
+    let pending = calls.map((call, index) => index);
+    let readable = true;
+    
+    for (let attempt = 1; pending.length > 0; attempt++) {
+      for (let i = 0; i < pending.length; i += CalendarClient.BATCH_LIMIT) {
+        const chunk = pending.slice(i, i + CalendarClient.BATCH_LIMIT);
+        if (!readable) {
+          chunk.forEach(index => {
+            results[index] = this.sendOne(calls[index]);
+          });
+          continue;
+        }
+        
+        const responses = this.sendBatch(chunk.map(index => calls[index]));
+        if (!responses) {
+          // The batch went through but its outcome is unknown: repeating a PATCH or DELETE is
+          // harmless, repeating a POST would create the event twice
+          console.error('⚠️  Batch replies cannot be read here (no response.text()); sending the requests one by one');
+          readable = false;
+          chunk.forEach(index => {
+            results[index] = calls[index].method === 'POST' ?
+              { status: 0, ok: false, body: null, error: new CalendarError('error', 'Sent in a batch whose reply could not be read; check the calendar before sending it again') } :
+              this.sendOne(calls[index], { repeat: true });
+          });
+          continue;
+        }
+        chunk.forEach((index, position) => {
+          results[index] = responses[position];
+        });
+      }
+      
+      pending = pending.filter(index => {
+        const result = results[index];
+        return !result.ok && this.isRetryable(result.error, calls[index].method !== 'POST');
+      });
+      
+      if (pending.length === 0 || attempt > this.maxRetries) {
+        break;
+      }
+      this.backoff(attempt, null, `${pending.length} batched call(s) were rate limited or failed`);
+    }
+    
+    return results;
+  }
+
+  /**
+   * Send a batched call on its own (dry runs, or when batch replies cannot be read). With
+   * repeat, a DELETE that finds the event gone counts as done, as the batch deleted it.
+   */
+  sendOne(call, options = {}) {
+    try {
+      const body = this.request(call.endpoint, {
+        method: call.method,
+        headers: call.body ? { 'Content-Type': 'application/json' } : undefined,
+        body: call.body ? JSON.stringify(call.body) : undefined
+      });
+      return { status: 200, ok: true, body };
+    } catch (error) {
+      const failure = CalendarError.from(error);
+      if (options.repeat && call.method === 'DELETE' && (failure.status === 404 || failure.status === 410)) {
+        return { status: 204, ok: true, body: {} };
+      }
+      return { status: failure.status || 0, ok: false, body: null, error: failure };
+    }
+  }
+
+  /**
+   * Send one multipart/mixed batch request and split the reply into per-call results, or
+   * return null if the reply cannot be read as text
+   */
+  sendBatch(calls) {
+    const boundary = `batch_gcal_${Date.now()}`;
+    const parts = calls.map((call, index) => [
+      `--${boundary}`,
+      'Content-Type: application/http',
+      `Content-ID: <item${index + 1}>`,
+      '',
+      `${call.method} /calendar/v3${call.endpoint} HTTP/1.1`,
+      ...(call.body ? ['Content-Type: application/json', '', JSON.stringify(call.body)] : ['']),
+      ''
+    ].join('\r\n'));
+    
+    const text = this.request('https://www.googleapis.com/batch/calendar/v3', {
+      method: 'POST',
+      headers: {
+        'Content-Type': `multipart/mixed; boundary=${boundary}`
+      },
+      body: `${parts.join('')}--${boundary}--\r\n`,
+      responseType: 'text',
+      idempotent: calls.every(call => call.method !== 'POST')
+    });
+    
+    if (text === null) {
+      return null;
+    }
+    
+    const responses = parseBatchResponse(text);
+    return calls.map((call, index) => responses[index + 1] ||
+      { status: 0, ok: false, body: null, error: new CalendarError('error', 'No response for this call in the batch reply') });
+  }
+
+  /**
+   * Iterate over the pages of a list endpoint, following nextPageToken
+   */
+  *paginate(endpoint, params = {}) {
+    let pageToken;
+    do {
+      const query = buildQueryString({ ...params, pageToken });
+      const page = this.request(`${endpoint}?${query}`);
+      yield page;
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+  }
+
+  /**
+   * Iterate over pages of the calendar list
+   */
+  listCalendarPages(options = {}) {
+    return this.paginate('/users/me/calendarList', {
+      maxResults: options.pageSize || 250,
+      minAccessRole: options.minAccessRole,
+      showDeleted: options.showDeleted || false,
+      showHidden: options.showHidden || false
+    });
+  }
+
+  /**
+   * List all calendars (up to options.maxResults in total)
+   */
+  listCalendars(options = {}) {
+    const limit = options.maxResults || Infinity;
+    return collectPages(this.listCalendarPages({
+      ...options,
+      pageSize: Math.min(limit, 250)
+    }), limit);
+  }
+
+  /**
+   * Get calendar by ID
+   */
+  getCalendar(calendarId) {
+    return this.request(`/calendars/${encodeURIComponent(calendarId)}`);
+  }
+
+  /**
+   * Create a secondary calendar owned by the user
+   */
+  createCalendar(calendarData) {
+    return this.request('/calendars', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(calendarData)
+    });
+  }
+
+  /**
+   * Update a calendar's own metadata (summary, description, timeZone). Uses PATCH
+   */
+  updateCalendar(calendarId, calendarData) {
+    return this.request(`/calendars/${encodeURIComponent(calendarId)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(calendarData)
+    });
+  }
+
+  /**
+   * Permanently delete a secondary calendar and all of its events
+   */
+  deleteCalendar(calendarId) {
+    return this.request(`/calendars/${encodeURIComponent(calendarId)}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Get the user's calendar list entry (visibility, color, reminders) for a calendar
+   */
+  getCalendarListEntry(calendarId) {
+    return this.request(`/users/me/calendarList/${encodeURIComponent(calendarId)}`);
+  }
+
+  /**
+   * Add an existing calendar to the user's calendar list (subscribe)
+   */
+  insertCalendarListEntry(entry) {
+    const query = entry.backgroundColor ? '?colorRgbFormat=true' : '';
+    return this.request(`/users/me/calendarList${query}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(entry)
+    });
+  }
+
+  /**
+   * Update the user's calendar list entry. Uses PATCH
+   */
+  updateCalendarListEntry(calendarId, entry) {
+    const query = entry.backgroundColor ? '?colorRgbFormat=true' : '';
+    return this.request(`/users/me/calendarList/${encodeURIComponent(calendarId)}${query}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(entry)
+    });
+  }
+
+  /**
+   * Remove a calendar from the user's calendar list (unsubscribe)
+   */
+  deleteCalendarListEntry(calendarId) {
+    return this.request(`/users/me/calendarList/${encodeURIComponent(calendarId)}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * List the sharing rules (ACL) of a calendar
+   */
+  listAcl(calendarId) {
+    return collectPages(this.paginate(`/calendars/${encodeURIComponent(calendarId)}/acl`, {
+      maxResults: 250
+    }));
+  }
+
+  /**
+   * Add or change a sharing rule. Google emails the grantee unless sendNotifications is false
+   */
+  insertAcl(calendarId, rule, options = {}) {
+    const query = options.sendNotifications === false ? '?sendNotifications=false' : '';
+    return this.request(`/calendars/${encodeURIComponent(calendarId)}/acl${query}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(rule)
+    });
+  }
+
+  /**
+   * Remove a sharing rule (rule IDs look like user:someone@example.com)
+   */
+  deleteAcl(calendarId, ruleId) {
+    return this.request(`/calendars/${encodeURIComponent(calendarId)}/acl/${encodeURIComponent(ruleId)}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Iterate over pages of events from a calendar
+   */
+  listEventPages(calendarId = 'primary', options = {}) {
+    return this.paginate(`/calendars/${encodeURIComponent(calendarId)}/events`, {
+      timeMin: options.timeMin,
+      timeMax: options.timeMax,
+      q: options.query || options.q,
+      iCalUID: options.iCalUID,
+      syncToken: options.syncToken,
+      maxResults: options.pageSize || 250,
+      singleEvents: options.singleEvents !== false,
+      // startTime ordering is only allowed when recurring events are expanded, and not
+      // at all for sync requests (pass orderBy: null to leave it out)
+      orderBy: options.orderBy !== undefined ? options.orderBy :
+        (options.singleEvents === false || options.syncToken ? undefined : 'startTime'),
+      // showDeleted=false is rejected together with a syncToken (deletions always come back)
+      showDeleted: options.syncToken && !options.showDeleted ? undefined : options.showDeleted || false
+    });
+  }
+
+  /**
+   * List events from a calendar (up to options.maxResults in total, across pages).
+   * The result has `truncated: true` when more events exist beyond the limit.
+   */
+  listEvents(calendarId = 'primary', options = {}) {
+    const limit = options.maxResults || 250;
+    return collectPages(this.listEventPages(calendarId, {
+      ...options,
+      pageSize: Math.min(limit, 2500)
+    }), limit);
+  }
+
+  /**
+   * Get a specific event
+   */
+  getEvent(calendarId, eventId) {
+    return this.request(`/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`);
+  }
+
+  /**
+   * Iterate over pages of the instances of a recurring event
+   */
+  listInstancePages(calendarId, eventId, options = {}) {
+    return this.paginate(`/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}/instances`, {
+      timeMin: options.timeMin,
+      timeMax: options.timeMax,
+      originalStart: options.originalStart,
+      maxResults: options.pageSize || 250,
+      showDeleted: options.showDeleted || false
+    });
+  }
+
+  /**
+   * List the instances of a recurring event (up to options.maxResults in total)
+   */
+  listInstances(calendarId, eventId, options = {}) {
+    const limit = options.maxResults || 250;
+    return collectPages(this.listInstancePages(calendarId, eventId, {
+      ...options,
+      pageSize: Math.min(limit, 2500)
+    }), limit);
+  }
+
+  /**
+   * Query free/busy information for one or more calendars
+   */
+  freeBusy(calendarIds, options = {}) {
+    return this.request('/freeBusy', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        timeMin: options.timeMin,
+        timeMax: options.timeMax,
+        timeZone: options.timeZone,
+        items: calendarIds.map(id => ({ id }))
+      })
+    });
+  }
+
+  /**
+   * Import a private copy of an event, keeping its iCalUID
+   */
+  importEvent(calendarId, eventData) {
+    return this.request(`/calendars/${encodeURIComponent(calendarId)}/events/import`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(eventData)
+    });
+  }
+
+  /**
+   * Query string for event writes. Conference data is only read from (and written to) a
+   * request with conferenceDataVersion=1; sendUpdates says which guests Google emails.
+   */
+  writeQuery(eventData, params = {}) {
+    const query = buildQueryString({
+      ...params,
+      conferenceDataVersion: eventData && eventData.conferenceData !== undefined ? 1 : undefined,
+      sendUpdates: CalendarClient.SEND_UPDATES[this.sendUpdates]
+    });
+    return query ? `?${query}` : '';
+  }
+
+  /**
+   * Create a new calendar event
+   */
+  createEvent(calendarId, eventData) {
+    return this.request(`/calendars/${encodeURIComponent(calendarId)}/events${this.writeQuery(eventData)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(eventData)
+    });
+  }
+
+  /**
+   * Create an event from a line of text such as "Lunch with Sam tomorrow at noon",
+   * parsed by Google
+   */
+  quickAddEvent(calendarId, text) {
+    return this.request(`/calendars/${encodeURIComponent(calendarId)}/events/quickAdd${this.writeQuery(null, { text })}`, {
+      method: 'POST'
+    });
+  }
+
+  /**
+   * Move an event to another calendar, keeping its ID, attendees' responses and links
+   */
+  moveEvent(calendarId, eventId, destination) {
+    return this.request(`/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}/move${this.writeQuery(null, { destination })}`, {
+      method: 'POST'
+    });
+  }
+
+  /**
+   * Update an existing calendar event. Uses PATCH, so fields that are left out keep their
+   * current values; set a field to null to clear it.
+   */
+  updateEvent(calendarId, eventId, eventData) {
+    return this.request(`/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}${this.writeQuery(eventData)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(eventData)
+    });
+  }
+
+  /**
+   * Delete a calendar event
+   */
+  deleteEvent(calendarId, eventId) {
+    return this.request(`/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}${this.writeQuery(null)}`, {
+      method: 'DELETE'
+    });
+  }
+}
+
+// Local per-calendar event store kept up to date with incremental (syncToken) sync
+class EventCache extends EventSource {
+  constructor(dir) {
+    super();
+    if (dir) {
+      this.dir = cacheDirPath(dir, `--cache-dir ${dir}`);
+    } else {
+      const env = process.env.GCAL_CACHE_DIR;
+      this.dir = cacheDirPath(env || '.', `GCAL_CACHE_DIR=${env}`);
+    }
+    this.used = {};
+  }
+
+  filePath(calendarId) {
+    return path.join(this.dir, `${encodeURIComponent(calendarId)}.json`);
+  }
+
+  load(calendarId) {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath(calendarId), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  save(store) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.filePath(store.calendarId), JSON.stringify(store));
+  }
+
+  /**
+   * Bring the store for a calendar up to date. Uses the saved syncToken when there is
+   * one and falls back to a full sync when there isn't or the token has expired (410).
+   */
+  sync(client, calendarId, options = {}) {
+    let store = options.full ? null : this.load(calendarId);
+    let full = !store || !store.syncToken;
+    let response;
+    
+    if (!full) {
+      try {
+        response = client.listEvents(calendarId, {
+          syncToken: store.syncToken,
+          maxResults: Infinity,
+          orderBy: null,
+          showDeleted: true
+        });
+      } catch (error) {
+        if (error.status !== 410) throw error;
+        full = true;
+      }
+    }
+    
+    if (full) {
+      store = null;
+      // Same parameters as the incremental request, so the returned token stays valid
+      response = client.listEvents(calendarId, {
+        maxResults: Infinity,
+        orderBy: null,
+        showDeleted: true
+      });
+    }
+    
+    const result = { calendarId, full, added: 0, updated: 0, deleted: 0 };
+    const events = store ? store.events : {};
+    
+    for (const event of response.items || []) {
+      if (event.status === 'cancelled') {
+        if (events[event.id]) {
+          delete events[event.id];
+          result.deleted++;
+        }
+        continue;
+      }
+      result[events[event.id] ? 'updated' : 'added']++;
+      events[event.id] = event;
+    }
+    
+    const saved = {
+      calendarId,
+      summary: response.summary || (store && store.summary) || calendarId,
+      timeZone: response.timeZone || (store && store.timeZone),
+      syncToken: response.nextSyncToken,
+      syncedAt: new Date().toISOString(),
+      events
+    };
+    this.save(saved);
+    
+    result.total = Object.keys(events).length;
+    result.syncedAt = saved.syncedAt;
+    return result;
+  }
+
+  /**
+   * List calendars that have a local store
+   */
+  listCalendars() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.dir).filter(file => file.endsWith('.json'));
+    } catch (e) {
+      // No cache yet
+    }
+    
+    const items = files.map(file => {
+      const store = this.load(decodeURIComponent(file.slice(0, -5)));
+      return store && { id: store.calendarId, summary: store.summary, timeZone: store.timeZone };
+    }).filter(Boolean);
+    
+    return { items, truncated: false };
+  }
+
+  /**
+   * Answer an events query from the store, mirroring CalendarClient.listEvents
+   */
+  listEvents(calendarId = 'primary', options = {}) {
+    const store = this.load(calendarId);
+    if (!store) {
+      throw new CalendarError('not-found', `No cached events for ${calendarId}; run: node gcal.js sync --calendar ${calendarId}`);
+    }
+    this.used[calendarId] = store.syncedAt;
+    
+    const limit = options.maxResults || 250;
+    const min = options.timeMin ? new Date(options.timeMin).getTime() : -Infinity;
+    const max = options.timeMax ? new Date(options.timeMax).getTime() : Infinity;
+    const query = String(options.query || options.q || '').toLowerCase();
+    
+    const items = Object.values(store.events).filter(event => {
+      const start = eventStartTime(event);
+      const endValue = event.end?.dateTime || event.end?.date;
+      const end = endValue ? parseDisplayDate(endValue).getTime() : start;
+      if (end <= min || start >= max) return false;
+      
+      if (query) {
+        const text = [event.summary, event.description, event.location,
+          ...(event.attendees || []).map(a => `${a.email} ${a.displayName || ''}`)].join(' ').toLowerCase();
+        return text.includes(query);
+      }
+      return true;
+    }).sort((a, b) => eventStartTime(a) - eventStartTime(b));
+    
+    return {
+      summary: store.summary,
+      timeZone: store.timeZone,
+      items: items.slice(0, limit),
+      truncated: items.length > limit
+    };
+  }
+
+  /**
+   * Describe how fresh the stores read so far are
+   */
+  status(maxAgeMinutes = 60) {
+    const times = Object.values(this.used).map(t => new Date(t).getTime());
+    if (times.length === 0) return null;
+    
+    const oldest = Math.min(...times);
+    const ageMinutes = Math.floor((Date.now() - oldest) / 60000);
+    return {
+      syncedAt: new Date(oldest).toISOString(),
+      ageMinutes,
+      stale: ageMinutes > maxAgeMinutes
+    };
   }
 }
 
 // Event formatting utilities
 class EventFormatter {
+  static get RESPONSES() {
+    return {
+      accepted: '✅ Accepted',
+      declined: '❌ Declined',
+      tentative: '❔ Tentative',
+      needsAction: '⏳ Not answered'
+    };
+  }
+
+  /**
+   * The authenticated user's entry in an event's attendee list, if any
+   */
+  static selfAttendee(event) {
+    return (event.attendees || []).find(attendee => attendee.self) || null;
+  }
+
+  /**
+   * Join details for a video meeting: the video link, dial-in numbers with PINs, and
+   * whether the link is still being created
+   */
+  static conference(event) {
+    const data = event.conferenceData;
+    if (!data && !event.hangoutLink) return null;
+    
+    const entryPoints = data?.entryPoints || [];
+    const video = entryPoints.find(entry => entry.entryPointType === 'video');
+    return {
+      name: data?.conferenceSolution?.name || 'Google Meet',
+      joinUrl: video?.uri || event.hangoutLink || null,
+      meetingCode: video?.meetingCode || data?.conferenceId || null,
+      phones: entryPoints.filter(entry => entry.entryPointType === 'phone').map(entry => ({
+        number: entry.label || entry.uri.replace(/^tel:/, ''),
+        pin: entry.pin || entry.accessCode || null,
+        regionCode: entry.regionCode
+      })),
+      morePhones: entryPoints.find(entry => entry.entryPointType === 'more')?.uri || null,
+      pending: data?.createRequest?.status?.statusCode === 'pending'
+    };
+  }
+
   static format(event, options = {}) {
     const start = event.start?.dateTime || event.start?.date;
     const end = event.end?.dateTime || event.end?.date;
     const isAllDay = !event.start?.dateTime;
+    const self = this.selfAttendee(event);
+    
+    return {
+      id: event.id,
+      summary: event.summary || '(No title)',
+      description: event.description || '',
+      location: event.location || '',
+      start,
+      end,
+      isAllDay,
+      status: event.status,
+      created: event.created,
+      updated: event.updated,
+      htmlLink: event.htmlLink,
+      attendees: event.attendees || [],
+      attendeeCount: (event.attendees || []).length,
+      myResponse: self ? self.responseStatus : undefined,
+      organizer: event.organizer,
+      recurrence: event.recurrence,
+      reminders: event.reminders,
+      joinUrl: this.conference(event)?.joinUrl || '',
+      conference: this.conference(event) || undefined,
+      calendarId: event.calendarId,
+      calendarName: event.calendarName
+    };
+  }
+
+  static formatCalendar(cal) {
+    return {
+      id: cal.id,
+      summary: cal.summaryOverride || cal.summary || cal.id,
+      description: cal.description || '',
+      timeZone: cal.timeZone,
+      accessRole: cal.accessRole,
+      primary: Boolean(cal.primary),
+      hidden: Boolean(cal.hidden),
+      selected: Boolean(cal.selected),
+      backgroundColor: cal.backgroundColor
+    };
+  }
+
+  static formatTimeRange(event) {
+    const formatted = this.format(event);
+    
+    if (formatted.isAllDay) {
+      const range = formatDateRange(formatted.start, formatted.end);
+      return range.includes(' - ') ? `All day (${range})` : 'All day';
+    }
+
+    const startTime = formatTime(formatted.start);
+    const endTime = formatTime(formatted.end);
+    
+    if (formatted.end && new Date(formatted.start).toDateString() !== new Date(formatted.end).toDateString()) {
+      const [startDate, endDate] = formatDateRange(formatted.start, formatted.end).split(' - ');
+      return `${startDate} ${startTime} - ${endDate} ${endTime}`;
+    }
+    
+    return `${startTime} - ${endTime}`;
+  }
+
+  static formatSummary(event, options = {}) {
+    const formatted = this.format(event);
+    const timeRange = this.formatTimeRange(event);
+    
+    let summary = `${timeRange.padEnd(20)} ${formatted.summary}`;
+    
+    if (options.showCalendar && formatted.calendarName) {
+      summary += `  [${formatted.calendarName}]`;
+    }
+    
+    if (options.showLocation && formatted.location) {
+      summary += `\n${''.padEnd(22)} 📍 ${formatted.location}`;
+    }
+    
+    if (options.showConference && formatted.joinUrl) {
+      summary += `\n${''.padEnd(22)} 🎥 ${formatted.joinUrl}`;
+    }
+    
+    if (options.showAttendees && formatted.attendeeCount > 0) {
+      summary += `\n${''.padEnd(22)} 👥 ${formatted.attendeeCount} attendee(s)`;
+    }
+    
+    if (options.showStatus && formatted.status !== 'confirmed') {
+      summary += `\n${''.padEnd(22)} ⚠️  ${formatted.status}`;
+    }
+    
+    return summary;
+  }
+}
+
+// Renders normalized records (EventFormatter.format / formatCalendar) as tables, CSV,
+// Markdown, NDJSON or a per-record template
+class OutputFormatter {
+  // --json (not --format json) selects JSON; ndjson is the streaming variant
+  static get FORMATS() {
+    return ['text', 'table', 'csv', 'markdown', 'ndjson'];
+  }
+
+  static get EVENT_FIELDS() {
+    return ['start', 'end', 'summary', 'location'];
+  }
+
+  static get CALENDAR_FIELDS() {
+    return ['id', 'summary', 'accessRole', 'timeZone', 'primary'];
+  }
+
+  static get DATE_FIELDS() {
+    return ['start', 'end', 'created', 'updated'];
+  }
+
+  static get WEEKDAYS() {
+    return ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  }
+
+  static get MONTHS() {
+    return ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+      'August', 'September', 'October', 'November', 'December'];
+  }
+
+  /**
+   * Resolve --format/--template/--json into one output mode
+   */
+  static getFormat(args) {
+    if (args.options.template && args.options.template !== true) return 'template';
+    if (args.options.json) return 'json';
+    
+    const format = args.options.format;
+    if (format === undefined) return 'text';
+    if (format === 'md') return 'markdown';
+    if (!this.FORMATS.includes(format)) {
+      throw new CalendarError('validation', `Invalid --format "${format}" (use: ${this.FORMATS.join(', ')})`, {
+        hints: format === 'json' ? ['💡 For JSON output use --json'] : []
+      });
+    }
+    return format;
+  }
+
+  /**
+   * Read --fields, falling back to the given defaults
+   */
+  static getFields(args, defaults) {
+    const fields = args.options.fields;
+    if (!fields || fields === true) return defaults;
+    return String(fields).split(',').map(f => f.trim()).filter(Boolean);
+  }
+
+  /**
+   * Look up a field on a normalized record, including the derived fields
+   * date, time, calendar and attendeeEmails
+   */
+  static getValue(record, field) {
+    switch (field) {
+      case 'date':
+        return record.start ? formatDate(record.start) : '';
+      case 'time':
+        return record.start ? EventFormatter.formatTimeRange({
+          start: record.isAllDay ? { date: record.start } : { dateTime: record.start },
+          end: record.isAllDay ? { date: record.end } : { dateTime: record.end }
+        }) : '';
+      case 'calendar':
+        return record.calendarName || record.calendarId || '';
+      case 'attendees':
+      case 'attendeeEmails':
+        return (record.attendees || []).map(a => a.email).join('; ');
+      case 'organizer':
+        return record.organizer ? (record.organizer.email || record.organizer.displayName || '') : '';
+      case 'recurrence':
+        return (record.recurrence || []).join('; ');
+      default: {
+        const value = record[field];
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return value;
+      }
+    }
+  }
+
+  /**
+   * Format a date-valued field with a pattern such as "YYYY-MM-DD", "ddd HH:mm" or "h:mm A"
+   */
+  static formatDatePattern(value, pattern, timeZone) {
+    if (!value) return '';
+    
+    let p;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const [year, month, day] = value.split('-').map(Number);
+      p = { year, month, day, hour: 0, minute: 0, second: 0 };
+    } else {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) return value;
+      p = getZonedParts(date, timeZone);
+    }
+    
+    const weekday = new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+    const pad = n => String(n).padStart(2, '0');
+    const hour12 = p.hour % 12 || 12;
+    const tokens = {
+      YYYY: p.year,
+      YY: pad(p.year % 100),
+      MMMM: this.MONTHS[p.month - 1],
+      MMM: this.MONTHS[p.month - 1].slice(0, 3),
+      MM: pad(p.month),
+      M: p.month,
+      DD: pad(p.day),
+      D: p.day,
+      dddd: this.WEEKDAYS[weekday],
+      ddd: this.WEEKDAYS[weekday].slice(0, 3),
+      HH: pad(p.hour),
+      H: p.hour,
+      hh: pad(hour12),
+      h: hour12,
+      mm: pad(p.minute),
+      ss: pad(p.second),
+      A: p.hour < 12 ? 'AM' : 'PM',
+      a: p.hour < 12 ? 'am' : 'pm'
+    };
+    
+    return pattern.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A|a/g, token => tokens[token]);
+  }
+
+  /**
+   * Fill a template like "{start:HH:mm} {summary} @ {location}" for one record
+   */
+  static applyTemplate(template, record, timeZone) {
+    const text = template.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+    return text.replace(/\{(\w+)(?::([^}]*))?\}/g, (match, field, pattern) => {
+      if (pattern && this.DATE_FIELDS.includes(field)) {
+        return this.formatDatePattern(record[field], pattern, timeZone);
+      }
+      return String(this.getValue(record, field));
+    });
+  }
+
+  // Human-friendly cell for table and Markdown output
+  static displayValue(record, field, timeZone) {
+    if (this.DATE_FIELDS.includes(field) && record[field]) {
+      const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(record[field]);
+      return this.formatDatePattern(record[field], dateOnly ? 'ddd YYYY-MM-DD' : 'ddd YYYY-MM-DD HH:mm', timeZone);
+    }
+    return String(this.getValue(record, field)).replace(/\s+/g, ' ').trim();
+  }
+
+  static escapeCsv(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  static escapeMarkdown(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|');
+  }
+
+  /**
+   * Render records in the given format and return the output text
+   */
+  static render(records, format, options = {}) {
+    const fields = options.fields;
+    const timeZone = options.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    
+    switch (format) {
+      case 'template':
+        return records.map(record => this.applyTemplate(options.template, record, timeZone)).join('\n');
+        
+      case 'ndjson':
+        return records.map(record => {
+          if (!options.fieldsGiven) return JSON.stringify(record);
+          const picked = {};
+          for (const field of fields) picked[field] = this.getValue(record, field);
+          return JSON.stringify(picked);
+        }).join('\n');
+        
+      case 'csv': {
+        const lines = [fields.map(f => this.escapeCsv(f)).join(',')];
+        for (const record of records) {
+          lines.push(fields.map(f => this.escapeCsv(this.getValue(record, f))).join(','));
+        }
+        return lines.join('\r\n');
+      }
+        
+      case 'markdown': {
+        const lines = [
+          `| ${fields.map(f => this.escapeMarkdown(f)).join(' | ')} |`,
+          `|${fields.map(() => '---').join('|')}|`
+        ];
+        for (const record of records) {
+          lines.push(`| ${fields.map(f => this.escapeMarkdown(this.displayValue(record, f, timeZone))).join(' | ')} |`);
+        }
+        return lines.join('\n');
+      }
+        
+      case 'table': {
+        const maxWidth = 40;
+        const clip = text => text.length > maxWidth ? `${text.slice(0, maxWidth - 1)}…` : text;
+        const rows = records.map(record => fields.map(f => clip(this.displayValue(record, f, timeZone))));
+        const headers = fields.map(f => f.toUpperCase());
+        const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+        const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+        return [line(headers), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+      }
+        
+      default:
+        throw new Error(`Unsupported format: ${format}`);
+    }
+  }
+
+  /**
+   * Print records for --format/--template output. Returns false in text and JSON modes
+   * so the caller falls through to its own output. Notices go to stderr to keep stdout clean.
+   */
+  static print(records, args, defaultFields, result = {}) {
+    const format = this.getFormat(args);
+    if (format === 'text' || format === 'json') return false;
+    
+    for (const entry of result.errors || []) {
+      console.error(`⚠️  Skipped ${entry.calendarId}: ${entry.error}`);
+    }
+    
+    const fields = this.getFields(args, defaultFields);
+    const output = this.render(records, format, {
+      fields,
+      fieldsGiven: Boolean(args.options.fields && args.options.fields !== true),
+      template: args.options.template,
+      timeZone: getTimeZone(args)
+    });
+    if (output) console.log(output);
+    
+    if (result.truncated) {
+      console.error(`⚠️  Showing the first ${records.length} result(s); more exist. Use --max to raise the limit`);
+    }
+    return true;
+  }
+
+  /**
+   * Print events through EventFormatter.format; adds the calendar column for merged results
+   */
+  static printEvents(result, args) {
+    const records = (result.items || []).map(event => EventFormatter.format(event));
+    const defaults = result.calendars ? [...this.EVENT_FIELDS, 'calendar'] : this.EVENT_FIELDS;
+    return this.print(records, args, defaults, result);
+  }
+}
+
+// Terminal week and month grids; days are YYYY-MM-DD strings in the display time zone
+class CalendarGrid {
+  static get WEEKDAY_NAMES() {
+    return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  }
+
+  static weekday(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(n => parseInt(n));
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  }
+
+  static dayDiff(from, to) {
+    const toUtc = s => Date.UTC(...s.split('-').map((n, i) => parseInt(n) - (i === 1 ? 1 : 0)));
+    return Math.round((toUtc(to) - toUtc(from)) / 86400000);
+  }
+
+  /**
+   * First day of the week containing a date, for a given week-start weekday
+   */
+  static startOfWeek(dateStr, weekStart) {
+    return addDays(dateStr, -((this.weekday(dateStr) - weekStart + 7) % 7));
+  }
+
+  /**
+   * Read the period offset: "+1", "next", "last"/"prev", or "-1" (which parseArgs
+   * reads as a flag). Returns null when the positional is not an offset.
+   */
+  static parseOffset(args) {
+    const value = args.positional[0];
+    if (value === undefined) {
+      const flag = Object.keys(args.options).find(key => /^\d+$/.test(key));
+      return flag ? -parseInt(flag) : 0;
+    }
+    if (/^[+-]?\d+$/.test(value)) return parseInt(value);
+    if (value === 'next') return 1;
+    if (value === 'last' || value === 'prev' || value === 'previous') return -1;
+    if (value === 'this') return 0;
+    return null;
+  }
+
+  /**
+   * Work out the first and last visible day of a week or month view
+   */
+  static resolvePeriod(view, args, timeZone) {
+    const weekStartName = String(args.options['week-start'] || 'mon').toLowerCase();
+    const weekStart = DateParser.WEEKDAYS[weekStartName];
+    if (weekStart === undefined) {
+      throw new CalendarError('validation', `Invalid --week-start "${args.options['week-start']}" (use: mon, sun, sat, ...)`);
+    }
+    
+    const today = formatLocalDate(new Date(), timeZone);
+    const offset = this.parseOffset(args);
+    let anchor = today;
+    
+    if (offset === null) {
+      const value = args.positional[0];
+      if (view === 'month' && /^\d{4}-\d{1,2}$/.test(value)) {
+        const [year, month] = value.split('-').map(n => parseInt(n));
+        if (month < 1 || month > 12) throw new CalendarError('validation', `Invalid month "${value}" (example: 2026-11)`);
+        anchor = `${year}-${String(month).padStart(2, '0')}-01`;
+      } else {
+        anchor = DateParser.isDateOnly(value) ? value :
+          formatLocalDate(DateParser.parse(value, { timeZone, option: view }), timeZone);
+      }
+    }
+    
+    if (view === 'week') {
+      const first = addDays(this.startOfWeek(anchor, weekStart), 7 * (offset || 0));
+      return { view, first, last: addDays(first, 6), today, weekStart };
+    }
+    
+    let [year, month] = anchor.split('-').map(n => parseInt(n));
+    month += offset || 0;
+    year += Math.floor((month - 1) / 12);
+    month = ((month - 1) % 12 + 12) % 12 + 1;
+    
+    const monthStart = `${year}-${String(month).padStart(2, '0')}-01`;
+    const monthEnd = addDays(new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10), -1);
+    const first = this.startOfWeek(monthStart, weekStart);
+    const last = addDays(this.startOfWeek(monthEnd, weekStart), 6);
+    return { view, first, last, today, weekStart, monthStart, monthEnd };
+  }
+
+  /**
+   * Local day span of an event as [startDay, lastDay] (inclusive) plus its timed interval
+   */
+  static eventDays(event, timeZone) {
+    if (!event.start?.dateTime) {
+      const startDay = event.start.date;
+      const endDay = event.end?.date ? addDays(event.end.date, -1) : startDay;
+      return { allDay: true, startDay, lastDay: endDay < startDay ? startDay : endDay };
+    }
+    
+    const start = new Date(event.start.dateTime);
+    const end = new Date(event.end?.dateTime || event.start.dateTime);
+    const lastMoment = end > start ? new Date(end.getTime() - 1) : start;
+    return {
+      allDay: false,
+      start,
+      end,
+      startDay: formatLocalDate(start, timeZone),
+      lastDay: formatLocalDate(lastMoment, timeZone)
+    };
+  }
+
+  /**
+   * Assign spanning events to lanes so that no two overlap within a lane
+   */
+  static layoutSpans(spans) {
+    const sorted = [...spans].sort((a, b) => a.from - b.from || (b.to - b.from) - (a.to - a.from));
+    const lanes = [];
+    
+    for (const span of sorted) {
+      let lane = lanes.find(l => l[l.length - 1].to < span.from);
+      if (!lane) {
+        lane = [];
+        lanes.push(lane);
+      }
+      lane.push(span);
+    }
+    
+    return lanes;
+  }
+
+  /**
+   * Clip or pad text to a cell width
+   */
+  static fit(text, width) {
+    return text.length > width ? `${text.slice(0, Math.max(0, width - 1))}…` : text.padEnd(width);
+  }
+
+  /**
+   * Render one grid line. Cells are null, { text } or { span } pieces; adjacent pieces of the
+   * same span are merged into one bar that covers the column separators too.
+   */
+  static renderLine(cells, width) {
+    const parts = [];
+    
+    for (let i = 0; i < cells.length; i++) {
+      const cell = cells[i];
+      
+      if (cell && cell.span) {
+        let j = i;
+        while (j + 1 < cells.length && cells[j + 1] && cells[j + 1].span === cell.span) j++;
+        
+        const segWidth = (j - i + 1) * width + (j - i);
+        const continued = cell.span.startsBefore || cell.span.from < i;
+        const endsAfter = cell.span.endsAfter || cell.span.to > j;
+        
+        let bar = `${continued ? '◂ ' : ''}${cell.span.label} `;
+        bar = bar.length >= segWidth ? this.fit(bar, segWidth) : bar.padEnd(segWidth - 1, '─') + (endsAfter ? '▸' : '─');
+        parts.push(bar);
+        i = j;
+        continue;
+      }
+      
+      parts.push(this.fit(cell ? cell.text : '', width));
+    }
+    
+    return parts.join('│').trimEnd();
+  }
+
+  static columnWidth(args, gutter, columns = 7) {
+    const total = parseInt(args.options.width) || process.stdout.columns || 120;
+    return Math.max(8, Math.floor((total - gutter - columns) / columns));
+  }
+
+  static dayHeader(day, period) {
+    const [, month, date] = day.split('-').map(n => parseInt(n));
+    const label = `${this.WEEKDAY_NAMES[this.weekday(day)]} ${month}/${date}`;
+    return day === period.today ? `[${label}]` : label;
+  }
+
+  /**
+   * Build span pieces (and the leftover timed events) for a row of days
+   */
+  static collectSpans(events, firstDay, days, timeZone, isSpan) {
+    const spans = [];
+    const timed = [];
+    
+    for (const event of events) {
+      const info = this.eventDays(event, timeZone);
+      const from = this.dayDiff(firstDay, info.startDay);
+      const to = this.dayDiff(firstDay, info.lastDay);
+      if (to < 0 || from >= days) continue;
+      
+      if (isSpan(info)) {
+        spans.push({
+          event,
+          label: event.summary || '(No title)',
+          from: Math.max(from, 0),
+          to: Math.min(to, days - 1),
+          startsBefore: from < 0,
+          endsAfter: to >= days
+        });
+      } else {
+        timed.push({ event, info, from, to });
+      }
+    }
+    
+    return { spans, timed };
+  }
+
+  /**
+   * Render a week: all-day/multi-day bars on top, then one row per hour
+   */
+  static renderWeek(events, period, options) {
+    const { timeZone, width } = options;
+    const days = Array.from({ length: 7 }, (_, i) => addDays(period.first, i));
+    const gutter = 6;
+    const lines = [];
+    
+    // All-day events and timed events of a day or more become bars
+    const { spans, timed } = this.collectSpans(events, period.first, 7, timeZone,
+      info => info.allDay || info.end - info.start >= 24 * 60 * 60 * 1000);
+    
+    // Hour range: --hours, or 08-18 stretched to fit the week's timed events
+    let fromHour = options.hours ? Math.floor(options.hours.start / 60) : 8;
+    let toHour = options.hours ? Math.ceil(options.hours.end / 60) : 18;
+    if (!options.hours) {
+      for (const item of timed) {
+        const startParts = getZonedParts(item.info.start, timeZone);
+        const endParts = getZonedParts(item.info.end, timeZone);
+        if (item.from >= 0) fromHour = Math.min(fromHour, startParts.hour);
+        if (item.to <= 6) toHour = Math.max(toHour, endParts.minute > 0 ? endParts.hour + 1 : endParts.hour || 24);
+      }
+    }
+    
+    const rule = `${'─'.repeat(gutter)}┼${days.map(() => '─'.repeat(width)).join('┼')}`;
+    lines.push(`${''.padEnd(gutter)}│${this.renderLine(days.map(day => ({ text: this.dayHeader(day, period) })), width)}`);
+    lines.push(rule);
+    
+    const lanes = this.layoutSpans(spans);
+    for (const lane of lanes) {
+      const cells = days.map(() => null);
+      for (const span of lane) {
+        for (let i = span.from; i <= span.to; i++) cells[i] = { span };
+      }
+      lines.push(`${'all'.padEnd(gutter)}│${this.renderLine(cells, width)}`);
+    }
+    if (lanes.length > 0) lines.push(rule);
+    
+    const seen = new Set();
+    
+    for (let hour = fromHour; hour < toHour; hour++) {
+      const cells = days.map((day, col) => {
+        const [year, month, date] = day.split('-').map(n => parseInt(n));
+        const slotStart = zonedTimeToDate(year, month, date, hour, 0, timeZone);
+        const slotEnd = new Date(slotStart.getTime() + 60 * 60 * 1000);
+        
+        const inSlot = timed.filter(item => item.info.start < slotEnd &&
+          (item.info.end > slotStart || (item.info.end.getTime() === item.info.start.getTime() && item.info.start >= slotStart)));
+        if (inSlot.length === 0) return null;
+        
+        inSlot.forEach(item => seen.add(item));
+        const starting = inSlot.filter(item => item.info.start >= slotStart || hour === fromHour);
+        const main = starting[0] || inSlot[0];
+        const more = inSlot.length > 1 ? ` +${inSlot.length - 1}` : '';
+        
+        if (starting.length === 0) {
+          return { text: `┃ ${more.trim()}`.trimEnd() };
+        }
+        const p = getZonedParts(main.info.start, timeZone);
+        const time = `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+        const title = main.event.summary || '(No title)';
+        return { text: more ? `${this.fit(`${time} ${title}`, width - more.length).trimEnd()}${more}` : `${time} ${title}` };
+      });
+      
+      lines.push(`${`${String(hour).padStart(2, '0')}:00`.padEnd(gutter)}│${this.renderLine(cells, width)}`);
+    }
+    
+    const hidden = timed.filter(item => !seen.has(item)).length;
+    return { lines, hidden, fromHour, toHour };
+  }
+
+  /**
+   * Render a month: one block per week with day numbers, bars and titles
+   */
+  static renderMonth(events, period, options) {
+    const { timeZone, width } = options;
+    const perCell = Math.max(1, options.lines || 3);
+    const weeks = (this.dayDiff(period.first, period.last) + 1) / 7;
+    const lines = [];
+    
+    const rule = days => days.map(() => '─'.repeat(width)).join('┼');
+    const headerDays = Array.from({ length: 7 }, (_, i) => addDays(period.first, i));
+    lines.push(this.renderLine(headerDays.map(day => ({ text: this.WEEKDAY_NAMES[this.weekday(day)] })), width));
+    
+    for (let w = 0; w < weeks; w++) {
+      const first = addDays(period.first, w * 7);
+      const days = Array.from({ length: 7 }, (_, i) => addDays(first, i));
+      lines.push(rule(days));
+      
+      lines.push(this.renderLine(days.map(day => {
+        const date = String(parseInt(day.slice(8)));
+        const outside = day < period.monthStart || day > period.monthEnd;
+        const label = outside ? `·${date}` : date;
+        return { text: day === period.today ? `[${label}]` : label };
+      }), width));
+      
+      const { spans, timed } = this.collectSpans(events, first, 7, timeZone,
+        info => info.allDay || info.startDay !== info.lastDay);
+      const lanes = this.layoutSpans(spans);
+      
+      // Lane rows first, then each day's timed events in the free rows of its column
+      const grid = Array.from({ length: perCell }, () => days.map(() => null));
+      const overflow = days.map(() => 0);
+      
+      lanes.forEach((lane, row) => {
+        for (const span of lane) {
+          for (let i = span.from; i <= span.to; i++) {
+            if (row < perCell) grid[row][i] = { span };
+            else overflow[i]++;
+          }
+        }
+      });
+      
+      days.forEach((day, col) => {
+        const items = timed.filter(item => item.from === col)
+          .sort((a, b) => a.info.start - b.info.start);
+        for (const item of items) {
+          const row = grid.findIndex(line => line[col] === null);
+          if (row === -1) {
+            overflow[col]++;
+            continue;
+          }
+          const p = getZonedParts(item.info.start, timeZone);
+          const time = `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+          grid[row][col] = { text: `${time} ${item.event.summary || '(No title)'}` };
+        }
+        
+        // Give up the last row to a "+N more" note when the day does not fit
+        if (overflow[col] > 0) {
+          const last = grid[perCell - 1];
+          const displaced = last[col] ? 1 : 0;
+          last[col] = { text: `+${overflow[col] + displaced} more` };
+        }
+      });
+      
+      for (const line of grid) {
+        lines.push(this.renderLine(line, width));
+      }
+    }
+    
+    return { lines };
+  }
+}
+
+// Print functions
+function printHelp() {
+  console.log(`
+📅 Google Calendar CLI - Secure Token Version
+
+USAGE:
+  node gcal.js <command> [options]
+
+COMMANDS:
+  auth                     Show authentication status
+  calendars               List all calendars
+  today                   Show today's events
+  upcoming [days]         Show upcoming events (default: 7 days)
+  list [calendar]         List events from specific calendar
+  search <query>          Search events
+  week [+n|date]          Show a week as a grid (hourly rows, one column per day)
+  month [+n|YYYY-MM]      Show a month as a grid
+  event <eventId>         Get specific event details
+  instances <eventId>     List occurrences of a recurring event
+  pending [days]          List invitations you have not answered (default: 30 days)
+  rsvp <eventId> <reply>  Answer an invitation: accept, decline or tentative
+  freebusy [ids...]       Show busy blocks for calendars/attendees
+  find-slot [attendees...] Propose meeting times when everyone is free
+  conflicts               List overlapping events in a date range
+  export [query]          Export events as an iCalendar (.ics) file
+  import <file.ics|->     Import events from an .ics file (in ~/.pave/gcal-files) or stdin
+  sync                    Incrementally sync calendars into the local cache
+  
+  create, add             Create a new event
+  quick <text>            Create an event from text, e.g. "Lunch with Sam tomorrow at noon"
+  update, edit <eventId>  Update an existing event
+  move <eventId> --to <id> Move an event (or --search results) to another calendar
+  delete, remove <eventId> Delete an event
+  bulk create --file <f>  Create every event in a JSON or CSV file
+  bulk delete|update [q]  Delete or edit every event matching a search and/or date range
+  
+  calendar <action> [id]  Manage calendars: create, update, delete (your own calendars),
+                          subscribe, unsubscribe, hide, unhide, color (your calendar list)
+  share <id> <email>      Share a calendar (--role reader|writer|owner|freeBusyReader)
+  unshare <id> <email>    Remove someone's access to a calendar
+  acl [id]                List who a calendar is shared with
+
+GLOBAL OPTIONS:
+  --max-retries <n>       Retries for rate limits (429/403) and server errors (default: 3)
+  --timeout <seconds>     Per-request timeout (default: 15)
+  --debug                 Log every API attempt to stderr (also: DEBUG=1)
+
+READ OPTIONS:
+  -c, --calendar <id>     Calendar ID, comma-separated IDs, or "all" (default: primary)
+  --min-access-role <r>   With --calendar all: freeBusyReader, reader, writer, owner (default: reader)
+  -n, --max <count>       Maximum results (default: varies by command)
+  -q, --query <query>     Search query
+  -f, --from <date>       Start date (YYYY-MM-DD or natural language)
+  -t, --to <date>         End date (YYYY-MM-DD or natural language)
+  --tz <zone>             Time zone for dates without an offset (default: local)
+  -d, --days <number>     Number of days for upcoming events
+  --summary               Show brief summary only
+  --full                  Show full event details
+  --json                  Output raw JSON
+  --format <fmt>          Output as text (default), table, csv, markdown or ndjson
+  --fields <list>         Columns for --format, e.g. start,summary,location,calendar
+  --template <text>       One line per item, e.g. "{start:HH:mm} {summary} @ {location}"
+  --links                 Show video meeting links in event lists
+  --offline, --cached     Answer from the local cache (see: sync)
+  --max-age <time>        Warn when cached data is older than this (default: 60m)
+
+CREATE/UPDATE OPTIONS:
+  --title, --summary <title>     Event title/summary
+  --description, --desc <desc>   Event description
+  --location, --loc <location>   Event location
+  --start <datetime>             Start time (ISO or natural language, see DATE FORMATS)
+  --end <datetime>               End time (relative forms like +1h count from --start)
+  --duration <time>              Event length instead of --end, e.g. 45m, 1h30m, 3d
+  --all-day                      All-day event (implied when --start is YYYY-MM-DD);
+                                 --end is then the last day, inclusive
+  --timed                        (update) Convert an all-day event to a timed event
+  --add-attendee <emails>        (update) Add attendees, keeping the others
+  --optional-attendee <emails>   (update) Add attendees as optional (or mark existing ones optional)
+  --remove-attendee <emails>     (update) Remove attendees
+  --clear-description            (update) Remove the description
+  --clear-location               (update) Remove the location
+  --meet                         Add a Google Meet video link
+  --remove-meet                  (update) Remove the video meeting
+  --allow-conflict               Save even if the time overlaps existing events. Only timed events
+                                 are checked: creates (a new series at its first occurrence only)
+                                 and updates that change the time or attendees. All-day events
+                                 are never checked
+  --check-attendees              Also check the attendees' free/busy for conflicts
+  --dry-run                      Print the request (and, for update, the changes) without sending it
+  --notify all|external|none     Which guests Google emails about the change
+                                 (also quick, rsvp, move, delete, bulk; default: $GCAL_NOTIFY or none)
+  --timezone, --tz <zone>        Time zone (default: Asia/Hong_Kong)
+  --attendees <emails>           Comma-separated attendee emails
+  --reminder <minutes>           Reminder minutes before event (default: system default)
+
+RECURRENCE OPTIONS (create):
+  --repeat <freq>                daily, weekly, monthly or yearly
+  --every <n>                    Repeat every N days/weeks/months/years
+  --on <days>                    Weekdays (mon,wed,fri), month days (1,15) or nth weekdays (1mon,-1fri)
+  --until <date>                 Last possible occurrence date
+  --count <n>                    Number of occurrences
+  --except <dates>               Comma-separated occurrence dates to skip (EXDATE)
+  --rrule <rule>                 Raw RRULE, e.g. "FREQ=WEEKLY;BYDAY=MO,WE"
+
+QUICK OPTIONS:
+  -c, --calendar <id>            Calendar to add to (default: primary)
+  --confirm                      Show Google's interpretation and remove the event if you answer n
+
+RSVP OPTIONS:
+  --comment <text>               Note to the organizer
+  --scope this|all               For recurring events: this occurrence (default for an occurrence ID)
+                                 or the whole series
+  --dry-run                      Show the request without sending it
+
+MOVE OPTIONS:
+  --to <calendarId>              Destination calendar (required)
+  -c, --calendar <id>            Source calendar (default: primary)
+  --search <query>               Move every event matching the query instead of one ID
+  --from <date>, --until <date>  Limit --search to a date range
+  --yes, -y                      Move the --search results (without it only a preview is shown)
+  --scope all                    Move the whole series when given an occurrence ID
+  --dry-run                      Show the requests without sending them
+
+DELETE OPTIONS:
+  --yes, -y                      Skip confirmation prompt
+  --notify none                  Delete without emailing guests a cancellation
+  --dry-run                      Show the DELETE request without sending it
+
+BULK OPTIONS (sent through the batch endpoint, up to 50 requests per call):
+  --file <name|->                (create) .json (array of events) or .csv (header row) in
+                                 ~/.pave/gcal-files, or - for stdin (JSON, or CSV with --csv); fields are
+                                 the create options: title, start, end, duration, all-day, description,
+                                 location, attendees, timezone, reminder, meet, repeat, on, until, ...
+  --search, -q <query>           (delete/update) Select events matching the query
+  --from <date>, --to <date>     (delete/update) Select events in a date range
+  -n, --max <count>              (delete/update) Most events to select (default: 250)
+  -c, --calendar <id>            Calendar to work on (default: primary)
+  --title, --description, --location, --clear-description, --clear-location,
+  --add-attendee, --optional-attendee, --remove-attendee
+                                 (update) Changes applied to every selected event
+  --scope all                    (delete) Delete the whole series of matched occurrences
+  --yes, -y                      Send the requests (without it only a preview is shown)
+  --all                          List every event in the preview, not just the first 20
+  --notify all|external|none     Which guests Google emails (default: $GCAL_NOTIFY or none)
+  --dry-run                      Show the requests without sending them
+
+CALENDAR/SHARING OPTIONS:
+  --title <title>                (create/update) Calendar name
+  --description <text>           (create/update) Calendar description
+  --timezone, --tz <zone>        (create/update) Calendar time zone (default on create: local)
+  --color <1-24|#rrggbb>         (subscribe) Color in your list; also: calendar color <id> <color>
+  --show-hidden                  (calendars) Include calendars hidden with 'calendar hide'
+  --role <role>                  (share) freeBusyReader, reader (default), writer or owner
+  --type group|domain            (share/unshare) Treat the target as a group or a domain;
+                                 a name without @ is a domain, "public" means anyone
+  --no-email                     (share) Do not email the person about the new access
+  --yes, -y                      (calendar delete, unshare) Confirm
+  --dry-run                      Show the request without sending it
+
+RECURRING EVENT SCOPE (update/delete, with an occurrence ID from 'instances'):
+  --scope this                   Only this occurrence
+  --scope following              This and following occurrences (splits the series)
+  --scope all                    The whole series
+
+EXPORT OPTIONS:
+  -o, --output <file>            Write the .ics file to ~/.pave/gcal-files/<file> (default: stdout)
+  -f, --from / -t, --to <date>   Date range (default: next 30 days unless a query is given)
+  -q, --query <query>            Only export events matching a search query
+
+WEEK/MONTH OPTIONS:
+  -c, --calendar <id>            Calendar ID, comma-separated IDs, or "all" (default: primary)
+  --week-start <day>             First day of the week (default: mon)
+  --hours <range>                (week) Hour rows to show (default: 08-18, widened to fit events)
+  --lines <n>                    (month) Event lines per day cell (default: 3)
+  --width <cols>                 Grid width (default: terminal width or 120)
+  --tz <zone>                    Time zone for day boundaries (default: local)
+  Periods: "+1"/"next", "-1"/"last", a date (week containing it) or YYYY-MM (month)
+
+SYNC OPTIONS:
+  -c, --calendar <id>            Calendar ID, comma-separated IDs, or "all" (default: primary)
+  --full                         Discard the sync token and resync from scratch
+  --cache-dir <dir>              Cache location inside ~/.pave/gcal-cache (default: $GCAL_CACHE_DIR or that folder)
+
+IMPORT OPTIONS:
+  --update                       Overwrite events whose iCalUID already exists (default: skip)
+  --dry-run                      Preview what would be created/updated/skipped
+  --tz <zone>                    Time zone for floating times and unknown TZIDs (default: local)
+
+FIND-SLOT OPTIONS:
+  --attendees <emails>           Comma-separated attendee emails (in addition to positional)
+  --duration <time>              Meeting length, e.g. 30, 45m, 1h30m (default: 30m)
+  --hours <range>                Working hours, e.g. 09:00-18:00 (default: 09:00-18:00)
+  --timezone, --tz <zone>        Time zone for working hours (default: Asia/Hong_Kong)
+  --buffer <time>                Free time to keep around existing events (default: 0)
+  --step <time>                  Granularity of proposed start times (default: 30m)
+  --count <number>               Number of slots to return (default: 5)
+  --rank earliest|fit            Earliest first, or least fragmentation first
+  --weekends                     Include Saturdays and Sundays
+
+DATE FORMATS (all date options; interpreted in --tz when no offset is given):
+  2024-01-15T10:00:00, 2024-01-15, 2024-01-15 14:00
+  now, today, tomorrow 3pm, friday, next monday 10:00, 3pm tomorrow
+  +2h, +1d, in 30 minutes, in an hour
+
+READ EXAMPLES:
+  node gcal.js today --summary
+  node gcal.js upcoming 14 --calendar primary
+  node gcal.js today --calendar all
+  node gcal.js sync --calendar all && node gcal.js upcoming --offline
+  node gcal.js upcoming 14 --format csv --fields date,time,summary,location > tmp/week.csv
+  node gcal.js today --template "{start:HH:mm} {summary} @ {location}"
+  node gcal.js week +1 --calendar all
+  node gcal.js month 2026-11 --week-start sun
+  node gcal.js upcoming --calendar "primary,team@company.com"
+  node gcal.js search "meeting" --from 2026-01-01 --to 2026-01-31
+  node gcal.js event abc123def456
+  node gcal.js export --from 2026-01-01 --to 2026-03-31 --output q1.ics
+  node gcal.js import conference.ics --calendar team@company.com --dry-run
+  node gcal.js find-slot john@company.com jane@company.com --duration 45m --hours 09:00-18:00 --buffer 10
+  node gcal.js freebusy john@company.com jane@company.com --from 2026-01-15T09:00:00 --to 2026-01-15T18:00:00
+  
+CREATE EXAMPLES:
+  node gcal.js create --title "Team Meeting" --start "2024-01-15T10:00:00" --end "2024-01-15T11:00:00"
+  node gcal.js add --title "Lunch with John" --start "2024-01-15T12:00:00" --end "2024-01-15T13:00:00" --location "Restaurant XYZ"
+  node gcal.js create --title "1:1" --start "next monday 10:00" --duration 45m --tz Europe/London
+  node gcal.js create --title "Offsite" --start 2024-03-04 --end 2024-03-06
+  node gcal.js create --title "Standup" --start "2024-01-15T09:30:00" --duration 15m --repeat weekly --on mon,tue,wed,thu,fri
+  node gcal.js create --title "Project Review" --start "2024-01-15T14:00:00" --end "2024-01-15T15:00:00" \\
+    --description "Q4 project review meeting" --attendees "john@company.com,jane@company.com"
+
+UPDATE EXAMPLES:
+  node gcal.js update abc123def456 --title "Updated Meeting Title"
+  node gcal.js edit abc123def456 --start "2024-01-15T10:30:00" --end "2024-01-15T11:30:00"
+  node gcal.js update abc123def456 --location "Conference Room B" --attendees "john@company.com"
+
+DELETE EXAMPLES:
+  node gcal.js delete abc123def456 --yes
+  node gcal.js delete abc123def456_20240115T020000Z --scope following --yes
+  node gcal.js remove abc123def456
+  node gcal.js calendars --json
+  node gcal.js list primary --max 20
+
+CALENDAR EXAMPLES:
+  node gcal.js calendar create --title "Project X" --description "Milestones and reviews"
+  node gcal.js calendar color abc123@group.calendar.google.com "#0b8043"
+  node gcal.js share abc123@group.calendar.google.com jane@company.com --role writer
+  node gcal.js acl abc123@group.calendar.google.com
+  node gcal.js calendar delete abc123@group.calendar.google.com --yes
+
+EXIT CODES:
+  0 ok, 1 other failure, 2 validation, 3 auth, 4 permission, 5 not-found, 6 conflict,
+  7 rate-limit, 8 network, 9 server. With --json, failures print
+  { "ok": false, "error": { "type", "message", "status", "reason" } } on stdout.
+
+TOKEN SETUP:
+  Tokens are configured in ~/.pave/permissions.yaml
+  Environment variables needed:
+    GOOGLE_CALENDAR_CLIENT_ID       - OAuth client ID
+    GOOGLE_CALENDAR_CLIENT_SECRET   - OAuth client secret  
+    GOOGLE_CALENDAR_REFRESH_TOKEN   - OAuth refresh token
+    GOOGLE_CALENDAR_ACCESS_TOKEN    - (optional) Current access token
+`);
+}
+
+function checkAuth(args) {
+  try {
+    const client = new CalendarClient();
+    const calendars = client.listCalendars({ maxResults: 1 });
+    
+    console.log('✅ Authentication successful');
+    console.log(`📅 Access to ${calendars.items?.length || 0} calendar(s) confirmed`);
+    console.log('🔐 Using secure token system (credentials not exposed to sandbox)');
+    
+    if (calendars.items && calendars.items.length > 0) {
+      const primary = calendars.items.find(cal => cal.primary);
+      if (primary) {
+        console.log(`📧 Primary calendar: ${primary.summary}`);
+      }
+    }
+  } catch (error) {
+    exitWithError(error, args, 'Authentication failed');
+  }
+}
+
+function listCalendars(args) {
+  try {
+    const client = new CalendarClient();
+    const options = {
+      maxResults: args.options.max ? parseInt(args.options.max) : 250,
+      showHidden: Boolean(args.options['show-hidden'])
+    };
+    
+    const calendars = client.listCalendars(options);
+    
+    const records = (calendars.items || []).map(cal => EventFormatter.formatCalendar(cal));
+    if (OutputFormatter.print(records, args, OutputFormatter.CALENDAR_FIELDS, calendars)) {
+      return;
+    }
+    
+    if (args.options.json) {
+      console.log(JSON.stringify(calendars, null, 2));
+      return;
+    }
+    
+    console.log(`📅 Found ${calendars.items?.length || 0} calendar(s):\n`);
+    
+    if (calendars.items && calendars.items.length > 0) {
+      for (const cal of calendars.items) {
+        const primary = cal.primary ? ' (PRIMARY)' : '';
+        const access = cal.accessRole ? ` [${cal.accessRole}]` : '';
+        const hidden = cal.hidden ? ' (hidden)' : '';
+        
+        console.log(`📅 ${cal.summary}${primary}${access}${hidden}`);
+        
+        if (!args.options.summary) {
+          console.log(`   ID: ${cal.id}`);
+          if (cal.description) {
+            console.log(`   Description: ${cal.description}`);
+          }
+          if (cal.timeZone) {
+            console.log(`   Timezone: ${cal.timeZone}`);
+          }
+          console.log('');
+        }
+      }
+    }
+    
+    printTruncationNotice(calendars, options.maxResults);
+  } catch (error) {
+    exitWithError(error, args, 'Failed to list calendars');
+  }
+}
+
+// Helper function to collect --title/--description/--timezone into a calendar body
+function calendarFields(args) {
+  const fields = {};
+  const title = args.options.title || args.options.summary;
+  const tz = args.options.timezone || args.options.tz;
+  
+  if (title !== undefined) {
+    if (title === true) throw new CalendarError('validation', '--title needs a value');
+    fields.summary = title;
+  }
+  if (args.options.description !== undefined) {
+    fields.description = args.options.description === true ? '' : args.options.description;
+  }
+  if (tz !== undefined) {
+    if (tz === true || !isValidTimeZone(tz)) {
+      throw new CalendarError('validation', `"${tz === true ? '' : tz}" is not a valid IANA time zone (examples: Asia/Hong_Kong, Europe/London)`);
+    }
+    fields.timeZone = tz;
+  }
+  return fields;
+}
+
+// Helper function to turn a color option into calendar list fields: a palette number
+// (1-24, as in the web UI) or a #rrggbb value
+function calendarColor(value) {
+  if (/^\d{1,2}$/.test(value)) {
+    return { colorId: String(Number(value)) };
+  }
+  if (/^#?[0-9a-f]{6}$/i.test(value)) {
+    const hex = value.replace('#', '').toLowerCase();
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+    const light = (0.299 * r + 0.587 * g + 0.114 * b) > 150;
+    return { backgroundColor: `#${hex}`, foregroundColor: light ? '#000000' : '#ffffff' };
+  }
+  throw new CalendarError('validation', `Invalid color "${value}" (use a palette number like 7 or a hex value like #4285f4)`);
+}
+
+// Helper function to print the result of a calendar command
+function printCalendarResult(client, args, message, calendar, action) {
+  if (client.dryRun) {
+    printDryRun(client, args, { action });
+    return;
+  }
+  
+  if (args.options.json) {
+    console.log(JSON.stringify({ success: true, calendar }, null, 2));
+    return;
+  }
+  
+  console.log(message);
+  if (calendar.summaryOverride || calendar.summary) {
+    console.log(`📅 ${calendar.summaryOverride || calendar.summary}`);
+  }
+  console.log(`🆔 Calendar ID: ${calendar.id}`);
+}
+
+/**
+ * Create, update, delete, subscribe to, hide or recolor calendars
+ */
+function manageCalendar(args) {
+  const subcommand = args.positional[0];
+  const calendarId = args.positional[1];
+  
+  try {
+    const client = new CalendarClient({ dryRun: Boolean(args.options['dry-run']) });
+    
+    if (subcommand && subcommand !== 'create' && !calendarId) {
+      throw new CalendarError('validation', 'Calendar ID required', {
+        hints: [`Usage: node gcal.js calendar ${subcommand} <calendarId>`]
+      });
+    }
+    
+    switch (subcommand) {
+      case 'create': {
+        const fields = calendarFields(args);
+        if (!fields.summary) {
+          throw new CalendarError('validation', '--title is required', {
+            hints: ['Usage: node gcal.js calendar create --title "Project X" [--description <text>] [--timezone <zone>]']
+          });
+        }
+        const calendar = client.createCalendar({ timeZone: getTimeZone(args), ...fields });
+        printCalendarResult(client, args, '✅ Calendar created successfully!', calendar, `Would create calendar "${fields.summary}"`);
+        break;
+      }
+      
+      case 'update': {
+        const fields = calendarFields(args);
+        if (Object.keys(fields).length === 0) {
+          throw new CalendarError('validation', 'No updates provided (use --title, --description or --timezone)');
+        }
+        const calendar = client.updateCalendar(calendarId, fields);
+        printCalendarResult(client, args, '✅ Calendar updated successfully!', calendar, `Would update calendar ${calendarId}`);
+        break;
+      }
+      
+      case 'delete': {
+        if (calendarId === 'primary') {
+          throw new CalendarError('validation', 'the primary calendar cannot be deleted');
+        }
+        
+        let title = calendarId;
+        try {
+          title = client.getCalendar(calendarId).summary || calendarId;
+        } catch (e) {
+          // Calendar might not be readable, let the delete report the error
+        }
+        
+        // Confirmation check (unless --yes flag is provided)
+        if (!args.options.yes && !args.options.y && !client.dryRun) {
+          throw new CalendarError('validation', `This will permanently delete the calendar "${title}" and all of its events`, {
+            hints: [
+              `💡 Use --yes flag to confirm: node gcal.js calendar delete ${calendarId} --yes`,
+              `💡 To only remove it from your list: node gcal.js calendar unsubscribe ${calendarId}`
+            ]
+          });
+        }
+        
+        client.deleteCalendar(calendarId);
+        
+        if (client.dryRun) {
+          printDryRun(client, args, { action: `Would delete calendar "${title}"` });
+        } else if (args.options.json) {
+          console.log(JSON.stringify({ success: true, calendarId }, null, 2));
+        } else {
+          console.log(`✅ Calendar deleted: "${title}"`);
+        }
+        break;
+      }
+      
+      case 'subscribe': {
+        const entry = { id: calendarId };
+        if (args.options.color) {
+          Object.assign(entry, calendarColor(args.options.color));
+        }
+        if (args.options.hidden) {
+          entry.hidden = true;
+        }
+        const calendar = client.insertCalendarListEntry(entry);
+        printCalendarResult(client, args, '✅ Added to your calendar list', calendar, `Would subscribe to ${calendarId}`);
+        break;
+      }
+      
+      case 'unsubscribe': {
+        client.deleteCalendarListEntry(calendarId);
+        
+        if (client.dryRun) {
+          printDryRun(client, args, { action: `Would remove ${calendarId} from your calendar list` });
+        } else if (args.options.json) {
+          console.log(JSON.stringify({ success: true, calendarId }, null, 2));
+        } else {
+          console.log(`✅ Removed ${calendarId} from your calendar list (the calendar itself was not deleted)`);
+        }
+        break;
+      }
+      
+      case 'hide':
+      case 'unhide': {
+        const hidden = subcommand === 'hide';
+        const calendar = client.updateCalendarListEntry(calendarId, { hidden, selected: !hidden });
+        printCalendarResult(client, args, hidden ? '🙈 Calendar hidden from your list' : '👀 Calendar shown in your list again',
+          calendar, `Would ${subcommand} ${calendarId}`);
+        break;
+      }
+      
+      case 'color': {
+        const value = args.positional[2] || args.options.color;
+        if (!value || value === true) {
+          throw new CalendarError('validation', 'Color required', {
+            hints: ['Usage: node gcal.js calendar color <calendarId> <1-24|#rrggbb>']
+          });
+        }
+        const calendar = client.updateCalendarListEntry(calendarId, calendarColor(value));
+        printCalendarResult(client, args, '🎨 Calendar color updated', calendar, `Would set the color of ${calendarId}`);
+        break;
+      }
+      
+      default:
+        throw new CalendarError('validation', subcommand ? `Unknown calendar command: ${subcommand}` : 'Calendar command required', {
+          hints: ['Usage: node gcal.js calendar create|update|delete|subscribe|unsubscribe|hide|unhide|color ...']
+        });
+    }
+  } catch (error) {
+    exitWithError(error, args, `Failed to ${subcommand} calendar`, {
+      'not-found': `Calendar not found: ${calendarId}`,
+      permission: 'Permission denied - you may not own this calendar'
+    });
+  }
+}
+
+// Helper function to read a share target: an email (user, or group with --type group),
+// a domain name, or "public"
+function aclScope(target, type) {
+  if (target === 'public' || type === 'default') {
+    return { type: 'default' };
+  }
+  if (type === 'domain' || (!type && !target.includes('@'))) {
+    return { type: 'domain', value: target };
+  }
+  if (!isValidEmail(target)) {
+    throw new CalendarError('validation', `"${target}" is not a valid email address`);
+  }
+  return { type: type === 'group' ? 'group' : 'user', value: target };
+}
+
+// Helper function to describe an ACL scope for display
+function describeAclScope(scope) {
+  if (scope.type === 'default') return 'Public (anyone)';
+  if (scope.type === 'domain') return `Everyone at ${scope.value}`;
+  return scope.type === 'group' ? `${scope.value} (group)` : scope.value;
+}
+
+/**
+ * Share a calendar with a user, group, domain or the public
+ */
+function shareCalendar(args) {
+  try {
+    const [calendarId, target] = args.positional;
+    if (!calendarId || !target) {
+      throw new CalendarError('validation', 'Calendar ID and email required', {
+        hints: ['Usage: node gcal.js share <calendarId> <email> --role reader|writer|owner|freeBusyReader']
+      });
+    }
+    
+    const role = args.options.role || 'reader';
+    const roles = ['freeBusyReader', 'reader', 'writer', 'owner'];
+    if (!roles.includes(role)) {
+      throw new CalendarError('validation', `Invalid --role "${role === true ? '' : role}" (use: ${roles.join(', ')})`);
+    }
+    
+    const client = new CalendarClient({ dryRun: Boolean(args.options['dry-run']) });
+    const scope = aclScope(target, args.options.type);
+    const rule = client.insertAcl(calendarId, { role, scope }, {
+      sendNotifications: !args.options['no-email']
+    });
+    
+    if (client.dryRun) {
+      printDryRun(client, args, { action: `Would give ${describeAclScope(scope)} ${role} access to ${calendarId}` });
+      return;
+    }
+    
+    if (args.options.json) {
+      console.log(JSON.stringify({ success: true, rule }, null, 2));
+      return;
+    }
+    
+    console.log(`✅ Calendar shared successfully!`);
+    console.log(`👤 ${describeAclScope(rule.scope || scope)}: ${rule.role || role}`);
+    console.log(`🆔 Calendar ID: ${calendarId}`);
+  } catch (error) {
+    exitWithError(error, args, 'Failed to share calendar', {
+      'not-found': `Calendar not found: ${args.positional[0]}`,
+      permission: 'Permission denied - only owners can change sharing'
+    });
+  }
+}
+
+/**
+ * Remove someone's access to a calendar
+ */
+function unshareCalendar(args) {
+  try {
+    const [calendarId, target] = args.positional;
+    if (!calendarId || !target) {
+      throw new CalendarError('validation', 'Calendar ID and email required', {
+        hints: ['Usage: node gcal.js unshare <calendarId> <email> --yes']
+      });
+    }
+    
+    const client = new CalendarClient({ dryRun: Boolean(args.options['dry-run']) });
+    const scope = aclScope(target, args.options.type);
+    const ruleId = scope.type === 'default' ? 'default' : `${scope.type}:${scope.value}`;
+    
+    // Confirmation check (unless --yes flag is provided)
+    if (!args.options.yes && !args.options.y && !client.dryRun) {
+      throw new CalendarError('validation', `This will remove access to ${calendarId} for: ${describeAclScope(scope)}`, {
+        hints: [`💡 Use --yes flag to confirm: node gcal.js unshare ${calendarId} ${target} --yes`]
+      });
+    }
+    
+    client.deleteAcl(calendarId, ruleId);
+    
+    if (client.dryRun) {
+      printDryRun(client, args, { action: `Would remove access to ${calendarId} for: ${describeAclScope(scope)}` });
+      return;
+    }
+    
+    if (args.options.json) {
+      console.log(JSON.stringify({ success: true, calendarId, ruleId }, null, 2));
+      return;
+    }
+    
+    console.log(`✅ Access removed for: ${describeAclScope(scope)}`);
+    console.log(`🆔 Calendar ID: ${calendarId}`);
+  } catch (error) {
+    exitWithError(error, args, 'Failed to unshare calendar', {
+      'not-found': `No sharing rule for ${args.positional[1]} (see: node gcal.js acl ${args.positional[0]})`,
+      permission: 'Permission denied - only owners can change sharing'
+    });
+  }
+}
+
+/**
+ * List who a calendar is shared with
+ */
+function showAcl(args) {
+  try {
+    const calendarId = args.positional[0] || args.options.calendar || args.options.c || 'primary';
+    const client = new CalendarClient();
+    const acl = client.listAcl(calendarId);
+    
+    if (args.options.json) {
+      console.log(JSON.stringify(acl, null, 2));
+      return;
+    }
+    
+    const rules = acl.items || [];
+    console.log(`🔐 ${calendarId} has ${rules.length} sharing rule(s):\n`);
+    for (const rule of rules) {
+      console.log(`  ${rule.role.padEnd(15)} ${describeAclScope(rule.scope)}`);
+    }
+  } catch (error) {
+    exitWithError(error, args, 'Failed to list sharing rules', {
+      'not-found': `Calendar not found: ${args.positional[0] || 'primary'}`,
+      permission: 'Permission denied - only owners can see who a calendar is shared with'
+    });
+  }
+}
+
+function showToday(args) {
+  try {
+    const client = getReadClient(args);
+    
+    const maxResults = args.options.max ? parseInt(args.options.max) : 50;
+    const events = fetchEvents(client, args, maxResults, id => client.getTodayEvents(id, { maxResults }));
+    applyCacheStatus(client, events, args);
+    
+    if (OutputFormatter.printEvents(events, args)) {
+      return;
+    }
+    
+    if (args.options.json) {
+      console.log(JSON.stringify(events, null, 2));
+      return;
+    }
+    
+    const today = formatDate(new Date().toISOString());
+    const across = events.calendars ? ` (${events.calendars.length} calendars)` : '';
+    console.log(`📅 Events for ${today}${across}:\n`);
+    printCalendarErrors(events);
+    
+    if (events.items && events.items.length > 0) {
+      for (const event of events.items) {
+        const summary = EventFormatter.formatSummary(event, {
+          showLocation: !args.options.summary,
+          showAttendees: args.options.full,
+          showStatus: args.options.full,
+          showConference: Boolean(args.options.links || args.options.full),
+          showCalendar: Boolean(events.calendars)
+        });
+        
+        console.log(`⏰ ${summary}\n`);
+      }
+      
+      printTruncationNotice(events, maxResults);
+    } else {
+      console.log('📅 No events scheduled for today');
+    }
+  } catch (error) {
+    exitWithError(error, args, 'Failed to get today\'s events');
+  }
+}
+
+function showUpcoming(args) {
+  try {
+    const client = getReadClient(args);
+    const days = args.positional && args.positional[0] ? parseInt(args.positional[0]) : 
+                 args.options.days ? parseInt(args.options.days) : 
+                 args.options.d ? parseInt(args.options.d) : 7;
+    
+    const maxResults = args.options.max ? parseInt(args.options.max) : 100;
+    const events = fetchEvents(client, args, maxResults, id => client.getUpcomingEvents(days, id, { maxResults }));
+    applyCacheStatus(client, events, args);
+    
+    if (OutputFormatter.printEvents(events, args)) {
+      return;
+    }
+    
+    if (args.options.json) {
+      console.log(JSON.stringify(events, null, 2));
+      return;
+    }
+    
+    const across = events.calendars ? ` across ${events.calendars.length} calendars` : '';
+    console.log(`📅 Upcoming events (next ${days} days${across}):\n`);
+    printCalendarErrors(events);
+    
+    if (events.items && events.items.length > 0) {
+      let currentDate = '';
+      let count = 0;
+      const maxDisplay = args.options.max ? maxResults : (args.options.summary ? 10 : 50);
+      
+      for (const event of events.items) {
+        if (count >= maxDisplay) break;
+        
+        const start = event.start?.dateTime || event.start?.date;
+        const eventDate = formatDate(start);
+        
+        if (eventDate !== currentDate) {
+          currentDate = eventDate;
+          console.log(`--- ${eventDate} ---`);
+        }
+        
+        const summary = EventFormatter.formatSummary(event, {
+          showLocation: !args.options.summary,
+          showAttendees: args.options.full,
+          showStatus: args.options.full,
+          showConference: Boolean(args.options.links || args.options.full),
+          showCalendar: Boolean(events.calendars)
+        });
+        
+        console.log(`⏰ ${summary}\n`);
+        count++;
+      }
+      
+      if (events.items.length > maxDisplay) {
+        const more = events.truncated ? `${events.items.length - maxDisplay}+` : events.items.length - maxDisplay;
+        console.log(`... and ${more} more events`);
+        console.log('💡 Use --max to increase limit or remove --summary for more details');
+      } else {
+        printTruncationNotice(events, maxResults);
+      }
+    } else {
+      console.log(`📅 No upcoming events in the next ${days} days`);
+    }
+  } catch (error) {
+    exitWithError(error, args, 'Failed to get upcoming events');
+  }
+}
+
+function searchEvents(args) {
+  try {
+    if (!args.positional || args.positional.length === 0) {
+      throw new CalendarError('validation', 'Search query required', {
+        hints: ['Usage: node gcal.js search "meeting"']
+      });
+    }
+    
+    const client = getReadClient(args);
+    const query = args.positional[0];
+    
+    const options = {
+      maxResults: args.options.max ? parseInt(args.options.max) : 50,
+      ...getTimeRange(args)
+    };
+    
+    const events = fetchEvents(client, args, options.maxResults,
+      id => client.searchEvents(query, { ...options, calendar: id }));
+    applyCacheStatus(client, events, args);
+    
+    if (OutputFormatter.printEvents(events, args)) {
+      return;
+    }
+    
+    if (args.options.json) {
+      console.log(JSON.stringify(events, null, 2));
+      return;
+    }
+    
+    const across = events.calendars ? ` across ${events.calendars.length} calendars` : '';
+    console.log(`🔍 Search results for "${query}"${across}:\n`);
+    printCalendarErrors(events);
+    
+    if (events.items && events.items.length > 0) {
+      for (const event of events.items) {
+        const start = event.start?.dateTime || event.start?.date;
+        const eventDate = formatDate(start);
+        
+        const summary = EventFormatter.formatSummary(event, {
+          showLocation: !args.options.summary,
+          showAttendees: args.options.full,
+          showStatus: args.options.full,
+          showConference: Boolean(args.options.links || args.options.full),
+          showCalendar: Boolean(events.calendars)
+        });
+        
+        console.log(`📅 ${eventDate}`);
+        console.log(`⏰ ${summary}\n`);
+      }
+      
+      printTruncationNotice(events, options.maxResults);
+    } else {
+      console.log(`📅 No events found matching "${query}"`);
+    }
+  } catch (error) {
+    exitWithError(error, args, 'Search failed');
+  }
+}
+
+/**
+ * Show a week or month as a terminal grid
+ */
+function showGrid(view, args) {
+  try {
+    const client = getReadClient(args);
+    const timeZone = getTimeZone(args);
+    const period = CalendarGrid.resolvePeriod(view, args, timeZone);
+    
+    let hours = null;
+    if (args.options.hours) {
+      hours = parseWorkingHours(args.options.hours);
+      if (!hours) {
+        throw new CalendarError('validation', 'Invalid --hours (example: 08:00-20:00)');
+      }
+    }
+    
+    const toDate = day => {
+      const [year, month, date] = day.split('-').map(n => parseInt(n));
+      return zonedTimeToDate(year, month, date, 0, 0, timeZone);
+    };
+    const maxResults = args.options.max ? parseInt(args.options.max) : 2500;
+    const events = fetchEvents(client, args, maxResults, id => client.listEvents(id, {
+      timeMin: toDate(period.first).toISOString(),
+      timeMax: toDate(addDays(period.last, 1)).toISOString(),
+      maxResults
+    }));
+    applyCacheStatus(client, events, args);
+    
+    if (args.options.json) {
+      console.log(JSON.stringify({ view, from: period.first, to: period.last, timeZone, ...events }, null, 2));
+      return;
+    }
+    
+    const items = (events.items || []).filter(event => event.status !== 'cancelled');
+    const across = events.calendars ? ` - ${events.calendars.length} calendars` : '';
+    
+    if (view === 'week') {
+      console.log(`📅 Week of ${formatDate(period.first)} (${timeZone}${across})\n`);
+      printCalendarErrors(events);
+      
+      const width = CalendarGrid.columnWidth(args, 7);
+      const grid = CalendarGrid.renderWeek(items, period, { timeZone, width, hours });
+      console.log(grid.lines.join('\n'));
+      
+      if (grid.hidden > 0) {
+        const pad = n => `${String(n).padStart(2, '0')}:00`;
+        console.log(`\n💡 ${grid.hidden} event(s) outside ${pad(grid.fromHour)}-${pad(grid.toHour)}; widen with --hours`);
+      }
+    } else {
+      const title = new Date(`${period.monthStart}T12:00:00Z`).toLocaleDateString('en-US', {
+        month: 'long', year: 'numeric', timeZone: 'UTC'
+      });
+      console.log(`📅 ${title} (${timeZone}${across})\n`);
+      printCalendarErrors(events);
+      
+      const width = CalendarGrid.columnWidth(args, 0);
+      const grid = CalendarGrid.renderMonth(items, period, {
+        timeZone,
+        width,
+        lines: args.options.lines ? parseInt(args.options.lines) : 3
+      });
+      console.log(grid.lines.join('\n'));
+    }
+    
+    if (items.length > 0) {
+      console.log('');
+    }
+    printTruncationNotice(events, maxResults);
+  } catch (error) {
+    exitWithError(error, args, `Failed to show ${view}`);
+  }
+}
+
+function showEvent(args) {
+  try {
+    if (!args.positional || args.positional.length === 0) {
+      throw new CalendarError('validation', 'Event ID required', {
+        hints: ['Usage: node gcal.js event <eventId>']
+      });
+    }
+    
+    const client = new CalendarClient();
+    const eventId = args.positional[0];
+    const calendarId = args.options.calendar || args.options.c || 'primary';
+    
+    const event = client.getEvent(calendarId, eventId);
+    
+    if (args.options.json) {
+      console.log(JSON.stringify(event, null, 2));
+      return;
+    }
+    
+    const formatted = EventFormatter.format(event);
+    
+    // Instances of a recurring series don't carry the rule; read it from the series
+    let recurrence = formatted.recurrence;
+    if (!recurrence && event.recurringEventId) {
+      try {
+        recurrence = client.getEvent(calendarId, event.recurringEventId).recurrence;
+      } catch (e) {
+        // Series may not be readable; show the instance without its rule
+      }
+    }
+    
+    console.log(`📅 Event Details:\n`);
+    console.log(`Title: ${formatted.summary}`);
+    console.log(`Time: ${EventFormatter.formatTimeRange(event)}`);
+    console.log(`Date: ${formatDate(formatted.start)}`);
+    
+    if (recurrence) {
+      console.log(`Repeats: ${Recurrence.describe(recurrence)}`);
+    }
+    
+    if (formatted.myResponse) {
+      const self = EventFormatter.selfAttendee(event);
+      const label = EventFormatter.RESPONSES[formatted.myResponse] || formatted.myResponse;
+      console.log(`Your response: ${label}${self.comment ? ` - "${self.comment}"` : ''}`);
+      if (formatted.myResponse === 'needsAction') {
+        console.log(`💡 Reply with: node gcal.js rsvp ${event.id} accept|decline|tentative`);
+      }
+    }
+    
+    if (formatted.location) {
+      console.log(`Location: ${formatted.location}`);
+    }
+    
+    if (formatted.conference) {
+      printConference(formatted.conference, formatted.id);
+    }
+    
+    if (formatted.description) {
+      console.log(`Description: ${formatted.description}`);
+    }
+    
+    if (formatted.attendees.length > 0) {
+      console.log(`\nAttendees (${formatted.attendees.length}):`);
+      // Always list yourself first so your own response is easy to spot
+      const attendees = [...formatted.attendees].sort((a, b) => Boolean(b.self) - Boolean(a.self));
+      for (const attendee of attendees.slice(0, 10)) {
+        const name = attendee.displayName || attendee.email;
+        const status = attendee.responseStatus || 'unknown';
+        if (attendee.self) {
+          console.log(`  👉 ${name} (you, ${status})`);
+        } else {
+          console.log(`  - ${name} (${status})`);
+        }
+      }
+      
+      if (attendees.length > 10) {
+        console.log(`  ... and ${attendees.length - 10} more`);
+      }
+    }
+    
+    console.log(`\nStatus: ${formatted.status}`);
+    console.log(`Created: ${new Date(formatted.created).toLocaleString()}`);
+    console.log(`Updated: ${new Date(formatted.updated).toLocaleString()}`);
+    
+    if (formatted.htmlLink) {
+      console.log(`Link: ${formatted.htmlLink}`);
+    }
+  } catch (error) {
+    exitWithError(error, args, 'Failed to get event');
+  }
+}
+
+/**
+ * List upcoming invitations that are still waiting for your response
+ */
+function showPending(args) {
+  try {
+    const client = getReadClient(args);
+    const days = args.positional && args.positional[0] ? parseInt(args.positional[0]) :
+                 args.options.days || args.options.d ? parseInt(args.options.days || args.options.d) : 30;
+    
+    const maxResults = args.options.max ? parseInt(args.options.max) : 250;
+    const events = fetchEvents(client, args, maxResults, id => client.getUpcomingEvents(days, id, { maxResults }));
+    applyCacheStatus(client, events, args);
+    
+    const pending = {
+      ...events,
+      items: (events.items || []).filter(event =>
+        event.status !== 'cancelled' && EventFormatter.selfAttendee(event)?.responseStatus === 'needsAction')
+    };
+    
+    if (OutputFormatter.printEvents(pending, args)) {
+      return;
+    }
+    
+    if (args.options.json) {
+      console.log(JSON.stringify(pending, null, 2));
+      return;
+    }
+    
+    console.log(`📨 Invitations awaiting your response (next ${days} days):\n`);
+    printCalendarErrors(events);
+    
+    if (pending.items.length === 0) {
+      console.log('✅ Nothing to answer');
+      printTruncationNotice(events, maxResults);
+      return;
+    }
+    
+    let currentDate = '';
+    for (const event of pending.items) {
+      const eventDate = formatDate(event.start?.dateTime || event.start?.date);
+      if (eventDate !== currentDate) {
+        currentDate = eventDate;
+        console.log(`--- ${eventDate} ---`);
+      }
+      
+      console.log(`⏰ ${EventFormatter.formatSummary(event, { showCalendar: Boolean(events.calendars) })}`);
+      const from = event.organizer?.displayName || event.organizer?.email;
+      if (from) {
+        console.log(`${''.padEnd(24)} 👤 From: ${from}`);
+      }
+      console.log(`${''.padEnd(24)} 🆔 ${event.id}${event.recurringEventId ? ' (recurring)' : ''}\n`);
+    }
+    
+    console.log(`${pending.items.length} invitation(s). Reply with: node gcal.js rsvp <eventId> accept|decline|tentative`);
+    printTruncationNotice(events, maxResults);
+  } catch (error) {
+    exitWithError(error, args, 'Failed to list pending invitations');
+  }
+}
+
+/**
+ * Accept, decline or tentatively accept an invitation
+ */
+function rsvpEvent(args) {
+  try {
+    const usage = 'Usage: node gcal.js rsvp <eventId> accept|decline|tentative [--comment "..."] [--scope this|all]';
+    const [eventId, answer] = args.positional || [];
+    
+    if (!eventId || !answer) {
+      throw new CalendarError('validation', 'Event ID and response required', {
+        hints: [usage]
+      });
+    }
+    
+    const responseStatus = {
+      accept: 'accepted',
+      accepted: 'accepted',
+      yes: 'accepted',
+      decline: 'declined',
+      declined: 'declined',
+      no: 'declined',
+      tentative: 'tentative',
+      maybe: 'tentative'
+    }[answer.toLowerCase()];
+    
+    if (!responseStatus) {
+      throw new CalendarError('validation', `Unknown response "${answer}" (use: accept, decline, tentative)`, {
+        hints: [usage]
+      });
+    }
+    
+    if (args.options.scope === 'following') {
+      throw new CalendarError('validation', '--scope following is not supported for RSVPs (use: this, all)');
+    }
+    
+    if (args.options.comment === true) {
+      throw new CalendarError('validation', '--comment needs a message');
+    }
+    
+    const client = new CalendarClient({
+      dryRun: Boolean(args.options['dry-run']),
+      sendUpdates: getNotify(args)
+    });
+    const calendarId = args.options.calendar || args.options.c || 'primary';
+    
+    const target = resolveScope(client, calendarId, client.getEvent(calendarId, eventId), args.options.scope);
+    const event = target.event;
+    const self = EventFormatter.selfAttendee(event);
+    
+    if (!self) {
+      throw new CalendarError('permission', `You are not on the guest list of "${event.summary || event.id}"`);
+    }
+    
+    // Send only our own attendee entry; attendeesOmitted keeps the rest of the list untouched
+    const attendee = { ...self, responseStatus };
+    if (args.options.comment !== undefined) {
+      attendee.comment = args.options.comment;
+    }
+    
+    const updated = client.updateEvent(calendarId, event.id, {
+      attendees: [attendee],
+      attendeesOmitted: true
+    });
+    
+    if (client.dryRun) {
+      printDryRun(client, args, {
+        summary: event.summary || event.id,
+        changes: diffEvent({ responseStatus: self.responseStatus, comment: self.comment },
+          { responseStatus, comment: attendee.comment })
+      });
+      return;
+    }
+    
+    if (args.options.json) {
+      console.log(JSON.stringify(updated, null, 2));
+      return;
+    }
+    
+    const scopeText = target.scope === 'all' ? ' (every occurrence)' :
+      event.recurringEventId ? ' (this occurrence)' : '';
+    console.log(`${EventFormatter.RESPONSES[responseStatus]}: "${event.summary || '(No title)'}"${scopeText}`);
+    console.log(`🕐 ${formatDate(event.start.dateTime || event.start.date)} ${EventFormatter.formatTimeRange(event)}`);
+    if (attendee.comment) {
+      console.log(`💬 ${attendee.comment}`);
+    }
+    console.log(client.sendUpdates === 'none' ? '📨 The organizer was not notified' : '📨 Reply emailed to the organizer');
+  } catch (error) {
+    exitWithError(error, args, 'Failed to send response');
+  }
+}
+
+/**
+ * Show merged busy blocks for calendars or attendees
+ */
+function showFreeBusy(args) {
+  try {
+    const client = new CalendarClient();
+    const calendarIds = getCalendarIds(args, args.positional);
+    const range = getTimeRange(args);
+    const days = args.options.days || args.options.d ? parseInt(args.options.days || args.options.d) : 1;
+    
+    const timeMin = range.timeMin || new Date().toISOString();
+    const timeMax = range.timeMax || new Date(new Date(timeMin).getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+    
+    if (new Date(timeMax) <= new Date(timeMin)) {
+      throw new CalendarError('validation', '--to must be after --from');
+    }
+    
+    const response = client.freeBusy(calendarIds, {
+      timeMin,
+      timeMax,
+      timeZone: args.options.timezone || args.options.tz
+    });
+    
+    const result = {
+      timeMin,
+      timeMax,
+      calendars: {}
+    };
+    
+    for (const id of calendarIds) {
+      const entry = response.calendars?.[id] || {};
+      result.calendars[id] = {
+        busy: mergeBusyBlocks(entry.busy),
+        errors: entry.errors || []
+      };
+    }
+    
+    if (args.options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+    
+    console.log(`🗓️  Free/busy from ${formatDate(timeMin)} ${formatTime(timeMin)} to ${formatDate(timeMax)} ${formatTime(timeMax)}:\n`);
+    
+    for (const id of calendarIds) {
+      const entry = result.calendars[id];
+      console.log(`📅 ${id}`);
+      
+      if (entry.errors.length > 0) {
+        const reasons = entry.errors.map(e => e.reason).join(', ');
+        console.log(`   ⚠️  Unable to read free/busy (${reasons})\n`);
+        continue;
+      }
+      
+      if (entry.busy.length === 0) {
+        console.log('   ✅ Free for the entire window\n');
+        continue;
+      }
+      
+      for (const block of entry.busy) {
+        console.log(`   ⛔ ${formatBlock(block.start, block.end)}`);
+      }
+      console.log('');
+    }
+  } catch (error) {
+    exitWithError(error, args, 'Failed to get free/busy');
+  }
+}
+
+/**
+ * Compute candidate meeting slots where every attendee is free
+ */
+function findSlots(busy, options) {
+  const { timeMin, timeMax, duration, workingHours, timeZone } = options;
+  const buffer = options.buffer || 0;
+  const step = options.step || 30;
+  const windowStart = new Date(timeMin).getTime();
+  const windowEnd = new Date(timeMax).getTime();
+  
+  // Pad each busy block with the buffer and merge across attendees
+  const blocks = mergeBusyBlocks(busy.map(block => ({
+    start: new Date(block.start).getTime() - buffer * 60000,
+    end: new Date(block.end).getTime() + buffer * 60000
+  }))).map(block => ({ start: new Date(block.start).getTime(), end: new Date(block.end).getTime() }));
+  
+  const slots = [];
+  const first = getZonedParts(new Date(windowStart), timeZone);
+  
+  for (let i = 0; ; i++) {
+    const day = new Date(Date.UTC(first.year, first.month - 1, first.day + i));
+    const dayStart = zonedTimeToDate(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), 0, 0, timeZone).getTime();
+    if (dayStart >= windowEnd) break;
+    
+    const weekday = day.getUTCDay();
+    if (!options.weekends && (weekday === 0 || weekday === 6)) continue;
+    
+    const workStart = zonedTimeToDate(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(),
+      Math.floor(workingHours.start / 60), workingHours.start % 60, timeZone).getTime();
+    const workEnd = zonedTimeToDate(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(),
+      Math.floor(workingHours.end / 60), workingHours.end % 60, timeZone).getTime();
+    
+    // Subtract busy blocks from today's working hours to get free intervals
+    let cursor = Math.max(workStart, windowStart);
+    const limit = Math.min(workEnd, windowEnd);
+    const free = [];
+    
+    for (const block of blocks) {
+      if (block.end <= cursor || block.start >= limit) continue;
+      if (block.start > cursor) {
+        free.push({ start: cursor, end: block.start });
+      }
+      cursor = Math.max(cursor, block.end);
+    }
+    if (cursor < limit) {
+      free.push({ start: cursor, end: limit });
+    }
+    
+    for (const interval of free) {
+      // Align candidate starts to the step grid anchored at the start of working hours
+      const offset = Math.ceil((interval.start - workStart) / (step * 60000)) * step * 60000;
+      const starts = new Set();
+      for (let start = workStart + offset; start + duration * 60000 <= interval.end; start += step * 60000) {
+        starts.add(start);
+      }
+      
+      // Slots flush against a busy block or the working-hours edge avoid leaving small unusable
+      // gaps. The search window's own edges (such as "now") are not, so they stay on the grid.
+      if (interval.end - duration * 60000 >= interval.start) {
+        if (interval.start !== windowStart || interval.start === workStart) {
+          starts.add(interval.start);
+        }
+        if (interval.end !== windowEnd || interval.end === workEnd) {
+          starts.add(interval.end - duration * 60000);
+        }
+      }
+      
+      for (const start of starts) {
+        const end = start + duration * 60000;
+        const before = start - interval.start;
+        const after = interval.end - end;
+        slots.push({
+          start,
+          end,
+          fragments: (before > 0 ? 1 : 0) + (after > 0 ? 1 : 0),
+          leftover: before + after
+        });
+      }
+    }
+  }
+  
+  if (options.rank === 'fit') {
+    slots.sort((a, b) => a.fragments - b.fragments || a.leftover - b.leftover || a.start - b.start);
+  } else {
+    slots.sort((a, b) => a.start - b.start || a.fragments - b.fragments);
+  }
+  
+  return slots.map(slot => ({
+    start: new Date(slot.start).toISOString(),
+    end: new Date(slot.end).toISOString(),
+    startLocal: formatLocalDateTime(new Date(slot.start), timeZone),
+    endLocal: formatLocalDateTime(new Date(slot.end), timeZone),
+    timeZone,
+    fragments: slot.fragments
+  }));
+}
+
+/**
+ * Find common free slots for a group of attendees
+ */
+function findSlot(args) {
+  try {
+    const usage = 'Usage: node gcal.js find-slot john@company.com jane@company.com --duration 45m --hours 09:00-18:00';
+    const duration = parseDuration(args.options.duration || 30);
+    const workingHours = parseWorkingHours(args.options.hours || '09:00-18:00');
+    const timeZone = args.options.timezone || args.options.tz || 'Asia/Hong_Kong';
+    const buffer = args.options.buffer ? parseDuration(args.options.buffer) : 0;
+    const step = args.options.step ? parseDuration(args.options.step) : 30;
+    const countOption = args.options.count || args.options.max || args.options.n;
+    const count = countOption === true ? NaN : Number(countOption || 5);
+    const rank = args.options.rank || 'earliest';
+    
+    if (timeZone === true || !isValidTimeZone(timeZone)) {
+      throw new CalendarError('validation', `"${timeZone === true ? '' : timeZone}" is not a valid IANA time zone (examples: Asia/Hong_Kong, Europe/London)`);
+    }
+    
+    if (!Number.isInteger(count) || count < 1) {
+      throw new CalendarError('validation', `Invalid --count value "${countOption === true ? '' : countOption}" (must be a positive whole number)`);
+    }
+    
+    if (!duration) {
+      throw new CalendarError('validation', 'Invalid --duration (examples: 30, 45m, 1h, 1h30m)', {
+        hints: [usage]
+      });
+    }
+    
+    if (!workingHours) {
+      throw new CalendarError('validation', 'Invalid --hours (example: 09:00-18:00)', {
+        hints: [usage]
+      });
+    }
+    
+    if (buffer === null || !step) {
+      throw new CalendarError('validation', 'Invalid --buffer or --step (examples: 10, 15m)');
+    }
+    
+    if (rank !== 'earliest' && rank !== 'fit') {
+      throw new CalendarError('validation', 'Invalid --rank (use: earliest, fit)');
+    }
+    
+    const positional = [...args.positional];
+    if (args.options.attendees && args.options.attendees !== true) {
+      positional.push(args.options.attendees);
+    }
+    const calendarIds = getCalendarIds(args, positional);
+    if (!args.options.calendar && !args.options.c && !calendarIds.includes('primary')) {
+      calendarIds.unshift('primary');
+    }
+    
+    const range = getTimeRange(args);
+    const days = args.options.days || args.options.d ? parseInt(args.options.days || args.options.d) : 7;
+    const now = new Date().toISOString();
+    const timeMin = range.timeMin && range.timeMin > now ? range.timeMin : now;
+    const timeMax = range.timeMax || new Date(new Date(timeMin).getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+    
+    if (new Date(timeMax) <= new Date(timeMin)) {
+      throw new CalendarError('validation', 'Search window is empty (check --from/--to)');
+    }
+    
+    const client = new CalendarClient();
+    const response = client.freeBusy(calendarIds, { timeMin, timeMax, timeZone });
+    
+    const busy = [];
+    const unavailable = [];
+    for (const id of calendarIds) {
+      const entry = response.calendars?.[id] || {};
+      if (entry.errors && entry.errors.length > 0) {
+        unavailable.push(id);
+      }
+      busy.push(...(entry.busy || []));
+    }
+    
+    const slots = findSlots(busy, {
+      timeMin,
+      timeMax,
+      duration,
+      workingHours,
+      timeZone,
+      buffer,
+      step,
+      rank,
+      weekends: args.options.weekends
+    }).slice(0, count);
+    
+    if (args.options.json) {
+      console.log(JSON.stringify({
+        attendees: calendarIds,
+        unavailable,
+        duration,
+        timeZone,
+        timeMin,
+        timeMax,
+        slots
+      }, null, 2));
+      return;
+    }
+    
+    const hours = args.options.hours || '09:00-18:00';
+    console.log(`🔎 Top ${slots.length} slot(s) for ${duration} min with ${calendarIds.length} attendee(s) (${hours} ${timeZone}):\n`);
     
-    return {
-      id: event.id,
-      summary: event.summary || '(No title)',
-      description: event.description || '',
-      location: event.location || '',
-      start,
-      end,
-      isAllDay,
-      status: event.status,
-      created: event.created,
-      updated: event.updated,
-      htmlLink: event.htmlLink,
-      attendees: event.attendees || [],
-      attendeeCount: (event.attendees || []).length,
-      organizer: event.organizer,
-      recurrence: event.recurrence,
-      reminders: event.reminders
-    };
-  }
-
-  static formatTimeRange(event) {
-    const formatted = this.format(event);
+    if (unavailable.length > 0) {
+      console.log(`⚠️  Free/busy not available for: ${unavailable.join(', ')}\n`);
+    }
     
-    if (formatted.isAllDay) {
-      return 'All day';
+    if (slots.length === 0) {
+      console.log('📅 No common free slots found in the search window');
+      console.log('💡 Try a wider --from/--to window, shorter --duration or longer --hours');
+      return;
     }
-
-    const startTime = formatTime(formatted.start);
-    const endTime = formatTime(formatted.end);
     
-    return `${startTime} - ${endTime}`;
+    slots.forEach((slot, index) => {
+      const display = new Date(slot.start).toLocaleString('en-US', {
+        timeZone,
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+      });
+      const endDisplay = new Date(slot.end).toLocaleTimeString('en-US', {
+        timeZone,
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+      });
+      console.log(`${index + 1}. ${display} - ${endDisplay}`);
+      console.log(`   --start "${slot.startLocal}" --end "${slot.endLocal}" --tz ${timeZone}\n`);
+    });
+  } catch (error) {
+    exitWithError(error, args, 'Failed to find slots');
   }
+}
 
-  static formatSummary(event, options = {}) {
-    const formatted = this.format(event);
-    const timeRange = this.formatTimeRange(event);
+/**
+ * List overlapping pairs of events in a date range, across one or more calendars
+ */
+function showConflicts(args) {
+  try {
+    const client = getReadClient(args);
+    const range = getTimeRange(args);
+    const days = args.options.days || args.options.d ? parseInt(args.options.days || args.options.d) : 7;
     
-    let summary = `${timeRange.padEnd(20)} ${formatted.summary}`;
+    const timeMin = range.timeMin || new Date().toISOString();
+    const timeMax = range.timeMax || new Date(new Date(timeMin).getTime() + days * 24 * 60 * 60 * 1000).toISOString();
     
-    if (options.showLocation && formatted.location) {
-      summary += `\n${''.padEnd(22)} 📍 ${formatted.location}`;
+    if (new Date(timeMax) <= new Date(timeMin)) {
+      throw new CalendarError('validation', '--to must be after --from');
     }
     
-    if (options.showAttendees && formatted.attendeeCount > 0) {
-      summary += `\n${''.padEnd(22)} 👥 ${formatted.attendeeCount} attendee(s)`;
+    const maxResults = args.options.max ? parseInt(args.options.max) : 2500;
+    const events = fetchEvents(client, args, maxResults, id => client.listEvents(id, { timeMin, timeMax, maxResults }));
+    applyCacheStatus(client, events, args);
+    
+    const blocking = (events.items || [])
+      .filter(isBlocking)
+      .map(event => ({ event, ...eventInterval(event) }))
+      .sort((a, b) => a.start - b.start);
+    
+    // Sweep in start order; each event is compared with the later ones that start before it ends
+    const conflicts = [];
+    for (let i = 0; i < blocking.length; i++) {
+      for (let j = i + 1; j < blocking.length && blocking[j].start < blocking[i].end; j++) {
+        const a = blocking[i];
+        const b = blocking[j];
+        if (b.end <= a.start) continue;
+        conflicts.push({
+          start: new Date(Math.max(a.start, b.start)).toISOString(),
+          end: new Date(Math.min(a.end, b.end)).toISOString(),
+          events: [a.event, b.event]
+        });
+      }
     }
     
-    if (options.showStatus && formatted.status !== 'confirmed') {
-      summary += `\n${''.padEnd(22)} ⚠️  ${formatted.status}`;
+    if (args.options.json) {
+      console.log(JSON.stringify({
+        timeMin,
+        timeMax,
+        conflicts: conflicts.map(c => ({ ...c, events: c.events.map(e => EventFormatter.format(e)) })),
+        errors: events.errors,
+        truncated: events.truncated,
+        cache: events.cache
+      }, null, 2));
+      return;
     }
     
-    return summary;
+    console.log(`⚔️  Conflicts from ${formatDate(timeMin)} to ${formatDate(timeMax)}:\n`);
+    printCalendarErrors(events);
+    
+    if (conflicts.length === 0) {
+      console.log('✅ No overlapping events');
+    }
+    
+    let currentDate = '';
+    for (const conflict of conflicts) {
+      const date = formatDate(conflict.start);
+      if (date !== currentDate) {
+        currentDate = date;
+        console.log(`--- ${date} ---`);
+      }
+      
+      console.log(`⚠️  Overlap ${formatBlock(conflict.start, conflict.end).replace(`${date} `, '')}`);
+      for (const event of conflict.events) {
+        const summary = EventFormatter.formatSummary(event, { showCalendar: Boolean(events.calendars) });
+        console.log(`   ⏰ ${summary}`);
+      }
+      console.log('');
+    }
+    
+    if (conflicts.length > 0) {
+      console.log(`${conflicts.length} conflicting pair(s). Declined and "free" events are ignored.`);
+    }
+    printTruncationNotice(events, maxResults);
+  } catch (error) {
+    exitWithError(error, args, 'Conflict check failed');
   }
 }
 
-// Print functions
-function printHelp() {
-  console.log(`
-📅 Google Calendar CLI - Secure Token Version
-
-USAGE:
-  node gcal.js <command> [options]
-
-COMMANDS:
-  auth                     Show authentication status
-  calendars               List all calendars
-  today                   Show today's events
-  upcoming [days]         Show upcoming events (default: 7 days)
-  list [calendar]         List events from specific calendar
-  search <query>          Search events
-  event <eventId>         Get specific event details
+/**
+ * Resolve --scope this|following|all to the event that should be changed.
+ * Returns { event, master, scope } where `event` is the instance (this/following)
+ * or the series master (all).
+ */
+function resolveScope(client, calendarId, event, scope) {
+  if (!scope) {
+    return { event, master: null, scope: null };
+  }
   
-  create, add             Create a new event
-  update, edit <eventId>  Update an existing event
-  delete, remove <eventId> Delete an event
-
-READ OPTIONS:
-  -c, --calendar <id>     Calendar ID (default: primary)
-  -n, --max <count>       Maximum results (default: varies by command)
-  -q, --query <query>     Search query
-  -f, --from <date>       Start date (YYYY-MM-DD)
-  -t, --to <date>         End date (YYYY-MM-DD)
-  -d, --days <number>     Number of days for upcoming events
-  --summary               Show brief summary only
-  --full                  Show full event details
-  --json                  Output raw JSON
-
-CREATE/UPDATE OPTIONS:
-  --title, --summary <title>     Event title/summary
-  --description, --desc <desc>   Event description
-  --location, --loc <location>   Event location
-  --start <datetime>             Start time (ISO format: 2024-01-15T10:00:00)
-  --end <datetime>               End time (ISO format: 2024-01-15T11:00:00)
-  --timezone, --tz <zone>        Time zone (default: Asia/Hong_Kong)
-  --attendees <emails>           Comma-separated attendee emails
-  --reminder <minutes>           Reminder minutes before event (default: system default)
-
-DELETE OPTIONS:
-  --yes, -y                      Skip confirmation prompt
-
-READ EXAMPLES:
-  node gcal.js today --summary
-  node gcal.js upcoming 14 --calendar primary
-  node gcal.js search "meeting" --from 2026-01-01 --to 2026-01-31
-  node gcal.js event abc123def456
+  if (!['this', 'following', 'all'].includes(scope)) {
+    throw new CalendarError('validation', `Invalid --scope value "${scope}" (use: this, following, all)`);
+  }
   
-CREATE EXAMPLES:
-  node gcal.js create --title "Team Meeting" --start "2024-01-15T10:00:00" --end "2024-01-15T11:00:00"
-  node gcal.js add --title "Lunch with John" --start "2024-01-15T12:00:00" --end "2024-01-15T13:00:00" --location "Restaurant XYZ"
-  node gcal.js create --title "Project Review" --start "2024-01-15T14:00:00" --end "2024-01-15T15:00:00" \\
-    --description "Q4 project review meeting" --attendees "john@company.com,jane@company.com"
+  const masterId = event.recurringEventId || (event.recurrence ? event.id : null);
+  if (!masterId) {
+    if (scope === 'following') {
+      throw new CalendarError('validation', '--scope following only applies to recurring events');
+    }
+    return { event, master: null, scope: null };
+  }
+  
+  const master = event.recurrence ? event : client.getEvent(calendarId, masterId);
+  
+  if (scope === 'all') {
+    return { event: master, master, scope };
+  }
+  
+  if (!event.recurringEventId) {
+    throw new CalendarError('validation', `"${event.id}" is the whole series; pass an occurrence ID (see: node gcal.js instances ${event.id})`);
+  }
+  
+  return { event, master, scope };
+}
 
-UPDATE EXAMPLES:
-  node gcal.js update abc123def456 --title "Updated Meeting Title"
-  node gcal.js edit abc123def456 --start "2024-01-15T10:30:00" --end "2024-01-15T11:30:00"
-  node gcal.js update abc123def456 --location "Conference Room B" --attendees "john@company.com"
+// Helper function to count the occurrences of a series before a given occurrence
+function countPriorInstances(client, calendarId, master, instance) {
+  const original = instance.originalStartTime || instance.start;
+  const key = value => value.date || new Date(value.dateTime).toISOString();
+  const limit = new Date(new Date(original.dateTime || original.date).getTime() + 24 * 60 * 60 * 1000);
+  
+  const instances = client.listInstances(calendarId, master.id, {
+    timeMax: limit.toISOString(),
+    maxResults: Infinity,
+    showDeleted: true
+  });
+  
+  return (instances.items || []).filter(item => {
+    const itemStart = item.originalStartTime || item.start;
+    return key(itemStart) < key(original);
+  }).length;
+}
 
-DELETE EXAMPLES:
-  node gcal.js delete abc123def456 --yes
-  node gcal.js remove abc123def456
-  node gcal.js calendars --json
-  node gcal.js list primary --max 20
+// Helper function to copy a series master into a new event body
+function copySeries(master) {
+  const body = {};
+  const skip = ['id', 'iCalUID', 'etag', 'kind', 'htmlLink', 'created', 'updated', 'sequence',
+    'creator', 'organizer', 'recurringEventId', 'originalStartTime', 'hangoutLink'];
+  for (const [key, value] of Object.entries(master)) {
+    if (!skip.includes(key)) {
+      body[key] = value;
+    }
+  }
+  return body;
+}
 
-TOKEN SETUP:
-  Tokens are configured in ~/.pave/permissions.yaml
-  Environment variables needed:
-    GOOGLE_CALENDAR_CLIENT_ID       - OAuth client ID
-    GOOGLE_CALENDAR_CLIENT_SECRET   - OAuth client secret  
-    GOOGLE_CALENDAR_REFRESH_TOKEN   - OAuth refresh token
-    GOOGLE_CALENDAR_ACCESS_TOKEN    - (optional) Current access token
-`);
+// Helper function to drop null fields (used to switch timed/all-day form on updates)
+function stripNulls(value) {
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (field === null) continue;
+    result[key] = field && typeof field === 'object' && !Array.isArray(field) ? stripNulls(field) : field;
+  }
+  return result;
 }
 
-function checkAuth() {
-  try {
-    const client = new CalendarClient();
-    const calendars = client.listCalendars({ maxResults: 1 });
-    
-    console.log('✅ Authentication successful');
-    console.log(`📅 Access to ${calendars.items?.length || 0} calendar(s) confirmed`);
-    console.log('🔐 Using secure token system (credentials not exposed to sandbox)');
-    
-    if (calendars.items && calendars.items.length > 0) {
-      const primary = calendars.items.find(cal => cal.primary);
-      if (primary) {
-        console.log(`📧 Primary calendar: ${primary.summary}`);
-      }
-    }
-  } catch (error) {
-    console.error('❌ Authentication failed:', error.message);
-    
-    if (error.message.includes('not configured')) {
-      console.error('💡 Configure google-calendar token in ~/.pave/permissions.yaml');
+/**
+ * Split a recurring series at an occurrence. The original series is truncated to end
+ * before the occurrence; when `updates` is given a new series is created from the
+ * occurrence onward with the updates applied. Returns { master, created }.
+ */
+function splitSeries(client, calendarId, master, instance, updates) {
+  const original = instance.originalStartTime || instance.start;
+  const hasCount = (master.recurrence || []).some(line => /COUNT=/i.test(line));
+  const prior = hasCount ? countPriorInstances(client, calendarId, master, instance) : null;
+  const { head, tail } = Recurrence.split(master.recurrence, original, prior);
+  
+  // Splitting at the first occurrence is the same as changing the whole series
+  const isFirst = hasCount ? prior === 0 :
+    (original.date || new Date(original.dateTime).getTime()) ===
+    (master.start.date || new Date(master.start.dateTime).getTime());
+  
+  if (isFirst) {
+    if (!updates) {
+      client.deleteEvent(calendarId, master.id);
+      return { master: null, created: null };
     }
-    
-    process.exit(1);
+    return { master: null, created: client.updateEvent(calendarId, master.id, updates) };
   }
+  
+  const truncated = client.updateEvent(calendarId, master.id, { recurrence: head });
+  
+  if (!updates) {
+    return { master: truncated, created: null };
+  }
+  
+  const body = stripNulls({
+    ...copySeries(master),
+    start: instance.start,
+    end: instance.end,
+    recurrence: tail,
+    ...updates
+  });
+  
+  return { master: truncated, created: client.createEvent(calendarId, body) };
 }
 
-function listCalendars(args) {
+/**
+ * List the occurrences of a recurring event
+ */
+function showInstances(args) {
   try {
+    if (!args.positional || args.positional.length === 0) {
+      throw new CalendarError('validation', 'Event ID required', {
+        hints: ['Usage: node gcal.js instances <eventId>']
+      });
+    }
+    
     const client = new CalendarClient();
-    const options = {
-      maxResults: args.options.max ? parseInt(args.options.max) : 250
-    };
+    const calendarId = args.options.calendar || args.options.c || 'primary';
+    const event = client.getEvent(calendarId, args.positional[0]);
+    const master = event.recurringEventId ? client.getEvent(calendarId, event.recurringEventId) : event;
     
-    const calendars = client.listCalendars(options);
+    if (!master.recurrence) {
+      throw new CalendarError('validation', `"${master.summary || master.id}" is not a recurring event`);
+    }
+    
+    const range = getTimeRange(args);
+    const maxResults = args.options.max || args.options.n ? parseInt(args.options.max || args.options.n) : 25;
+    const instances = client.listInstances(calendarId, master.id, {
+      timeMin: range.timeMin || new Date().toISOString(),
+      timeMax: range.timeMax,
+      maxResults,
+      showDeleted: Boolean(args.options['show-deleted'])
+    });
     
     if (args.options.json) {
-      console.log(JSON.stringify(calendars, null, 2));
+      console.log(JSON.stringify(instances, null, 2));
       return;
     }
     
-    console.log(`📅 Found ${calendars.items?.length || 0} calendar(s):\n`);
+    console.log(`🔁 Occurrences of "${master.summary || '(No title)'}" (${Recurrence.describe(master.recurrence)}):\n`);
     
-    if (calendars.items && calendars.items.length > 0) {
-      for (const cal of calendars.items) {
-        const primary = cal.primary ? ' (PRIMARY)' : '';
-        const access = cal.accessRole ? ` [${cal.accessRole}]` : '';
-        
-        console.log(`📅 ${cal.summary}${primary}${access}`);
-        
-        if (!args.options.summary) {
-          console.log(`   ID: ${cal.id}`);
-          if (cal.description) {
-            console.log(`   Description: ${cal.description}`);
-          }
-          if (cal.timeZone) {
-            console.log(`   Timezone: ${cal.timeZone}`);
-          }
-          console.log('');
-        }
-      }
+    if (!instances.items || instances.items.length === 0) {
+      console.log('📅 No occurrences in this range');
+      return;
     }
+    
+    for (const instance of instances.items) {
+      const formatted = EventFormatter.format(instance);
+      const original = instance.originalStartTime;
+      const moved = original && (original.dateTime || original.date) !== formatted.start &&
+        new Date(original.dateTime || original.date).getTime() !== new Date(formatted.start).getTime();
+      let note = '';
+      if (formatted.status === 'cancelled') note = '  🚫 cancelled';
+      else if (moved) note = '  ✏️  rescheduled';
+      
+      console.log(`📅 ${formatDate(formatted.start)}  ⏰ ${EventFormatter.formatTimeRange(instance)}${note}`);
+      console.log(`   🆔 ${instance.id}\n`);
+    }
+    
+    printTruncationNotice(instances, maxResults);
   } catch (error) {
-    console.error('❌ Failed to list calendars:', error.message);
-    process.exit(1);
+    exitWithError(error, args, 'Failed to list occurrences');
   }
 }
 
-function showToday(args) {
+// Helper function to resolve a path against ~/.pave/<folder>, one of the two directories that
+// skill.yaml lets the sandbox read and write. Relative paths are taken from that directory.
+function resolveSkillPath(folder, file) {
+  const home = process.env.HOME || process.env.USERPROFILE || '.';
+  const dir = path.join(home, '.pave', folder);
+  return { dir, resolved: path.resolve(dir, String(file).replace(/^~(?=$|[\\/])/, home)) };
+}
+
+// Helper function to resolve the cache directory (--cache-dir or GCAL_CACHE_DIR, given as
+// `source`) inside ~/.pave/gcal-cache; anything outside it is refused
+function cacheDirPath(dir, source) {
+  const { dir: root, resolved } = resolveSkillPath('gcal-cache', dir);
+  
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new CalendarError('validation', `${source} is outside ${root}`, {
+      hints: [
+        '💡 The skill may only keep its cache in ~/.pave/gcal-cache',
+        '💡 Leave the option out to use that directory, or give a folder inside it'
+      ]
+    });
+  }
+  return resolved;
+}
+
+// Helper function to resolve a file option inside ~/.pave/gcal-files; anything outside it is refused
+function skillFilePath(file, option) {
+  const { dir, resolved } = resolveSkillPath('gcal-files', file);
+  
+  if (!resolved.startsWith(dir + path.sep)) {
+    throw new CalendarError('validation', `${option} ${file} is outside ${dir}`, {
+      hints: [
+        '💡 The skill may only read and write files in ~/.pave/gcal-files',
+        `💡 Give a name inside it (e.g. ${option} ${path.basename(String(file))}) or use stdin/stdout instead`
+      ]
+    });
+  }
+  return resolved;
+}
+
+// Helper function to read an input file option: "-" reads stdin, anything else must be
+// inside ~/.pave/gcal-files (see skillFilePath)
+function readSkillFile(file, option) {
+  const source = file === '-' ? 0 : skillFilePath(file, option);
+  try {
+    return fs.readFileSync(source, 'utf8');
+  } catch (error) {
+    throw new CalendarError('validation', `Cannot read ${file === '-' ? 'stdin' : source}: ${error.message}`);
+  }
+}
+
+/**
+ * Export events as an iCalendar (.ics) file
+ */
+function exportCalendar(args) {
   try {
     const client = new CalendarClient();
     const calendarId = args.options.calendar || args.options.c || 'primary';
+    const query = args.positional[0] || args.options.query || args.options.q;
+    const output = args.options.output || args.options.o;
+    const file = output && output !== true ? skillFilePath(output, '--output') : null;
+    const range = getTimeRange(args);
     
-    const events = client.getTodayEvents(calendarId, {
-      maxResults: args.options.max ? parseInt(args.options.max) : 50
+    // Without a query or range, export the next 30 days
+    if (!query && !range.timeMin && !range.timeMax) {
+      const days = args.options.days || args.options.d ? parseInt(args.options.days || args.options.d) : 30;
+      range.timeMin = new Date().toISOString();
+      range.timeMax = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+    
+    const events = client.listEvents(calendarId, {
+      ...range,
+      query: query && query !== true ? query : undefined,
+      singleEvents: false,
+      maxResults: args.options.max || args.options.n ? parseInt(args.options.max || args.options.n) : 2500
     });
     
-    if (args.options.json) {
-      console.log(JSON.stringify(events, null, 2));
+    const ics = ICalendar.build(events.items || [], {
+      name: events.summary,
+      timeZone: events.timeZone,
+      defaultReminders: events.defaultReminders
+    });
+    const count = (events.items || []).filter(event => event.status !== 'cancelled').length;
+    
+    if (!file) {
+      process.stdout.write(ics);
       return;
     }
-    
-    const today = formatDate(new Date().toISOString());
-    console.log(`📅 Events for ${today}:\n`);
-    
-    if (events.items && events.items.length > 0) {
-      for (const event of events.items) {
-        const summary = EventFormatter.formatSummary(event, {
-          showLocation: !args.options.summary,
-          showAttendees: args.options.full,
-          showStatus: args.options.full
-        });
-        
-        console.log(`⏰ ${summary}\n`);
-      }
-    } else {
-      console.log('📅 No events scheduled for today');
+    
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, ics);
+    
+    if (args.options.json) {
+      console.log(JSON.stringify({ success: true, file, events: count, truncated: events.truncated }, null, 2));
+      return;
     }
+    
+    console.log(`✅ Exported ${count} event(s) to ${file}`);
+    printTruncationNotice(events, args.options.max || args.options.n || 2500);
   } catch (error) {
-    console.error('❌ Failed to get today\'s events:', error.message);
-    process.exit(1);
+    exitWithError(error, args, 'Export failed');
   }
 }
 
-function showUpcoming(args) {
+// Helper function to find the occurrence of a series that an imported RECURRENCE-ID replaces
+function findOriginalInstance(client, calendarId, seriesId, originalStart) {
+  const key = value => value.date || (value.timeZone && !/(Z|[+-]\d{2}:?\d{2})$/.test(value.dateTime) ?
+    DateParser.parse(value.dateTime, { timeZone: value.timeZone }) : new Date(value.dateTime)).toISOString();
+  const target = key(originalStart);
+  
+  const instances = client.listInstances(calendarId, seriesId, {
+    originalStart: target,
+    maxResults: 5,
+    showDeleted: true
+  });
+  return (instances.items || []).find(item => key(item.originalStartTime || item.start) === target) || null;
+}
+
+/**
+ * Import events from an iCalendar (.ics) file, skipping or updating existing iCalUIDs
+ */
+function importCalendar(args) {
   try {
+    const file = args.positional[0] || args.options.file;
+    if (!file || file === true) {
+      throw new CalendarError('validation', '.ics file required', {
+        hints: ['Usage: node gcal.js import <file.ics|-> [--calendar <id>] [--update] [--dry-run]']
+      });
+    }
+    
     const client = new CalendarClient();
-    const days = args.positional && args.positional[0] ? parseInt(args.positional[0]) : 
-                 args.options.days ? parseInt(args.options.days) : 
-                 args.options.d ? parseInt(args.options.d) : 7;
     const calendarId = args.options.calendar || args.options.c || 'primary';
+    const dryRun = Boolean(args.options['dry-run']);
+    const timeZone = getTimeZone(args);
     
-    const events = client.getUpcomingEvents(days, calendarId, {
-      maxResults: args.options.max ? parseInt(args.options.max) : 100
-    });
-    
-    if (args.options.json) {
-      console.log(JSON.stringify(events, null, 2));
-      return;
-    }
+    const root = ICalendar.parse(readSkillFile(file, 'import'));
+    const vevents = root.components
+      .filter(component => component.type === 'VCALENDAR')
+      .flatMap(calendar => calendar.components.filter(component => component.type === 'VEVENT'));
     
-    console.log(`📅 Upcoming events (next ${days} days):\n`);
+    const summary = { created: 0, updated: 0, skipped: 0, failed: 0 };
+    const results = [];
+    const series = {};
+    const overrides = [];
     
-    if (events.items && events.items.length > 0) {
-      let currentDate = '';
-      let count = 0;
-      const maxDisplay = args.options.summary ? 10 : 50;
+    for (const vevent of vevents) {
+      const result = { uid: null, summary: null, action: null };
+      results.push(result);
       
-      for (const event of events.items) {
-        if (count >= maxDisplay) break;
+      try {
+        const { event, warnings, isOverride, originalStart } = ICalendar.toEvent(vevent, { timeZone });
+        result.uid = event.iCalUID || null;
+        result.summary = event.summary || '(No title)';
+        result.start = event.start.dateTime || event.start.date;
+        if (warnings.length > 0) result.warnings = warnings;
         
-        const start = event.start?.dateTime || event.start?.date;
-        const eventDate = formatDate(start);
+        // Changed occurrences are applied below, once their series has been written
+        if (isOverride) {
+          overrides.push({ result, event, originalStart });
+          continue;
+        }
         
-        if (eventDate !== currentDate) {
-          currentDate = eventDate;
-          console.log(`--- ${eventDate} ---`);
+        if (!event.iCalUID) {
+          event.iCalUID = `${Date.now()}-${Math.random().toString(36).slice(2)}@openpave-gcal`;
+          result.uid = event.iCalUID;
         }
+        series[event.iCalUID] = result;
         
-        const summary = EventFormatter.formatSummary(event, {
-          showLocation: !args.options.summary,
-          showAttendees: args.options.full,
-          showStatus: args.options.full
-        });
+        const existing = client.listEvents(calendarId, {
+          iCalUID: event.iCalUID,
+          singleEvents: false,
+          maxResults: 1
+        }).items[0];
         
-        console.log(`⏰ ${summary}\n`);
-        count++;
+        if (existing && !args.options.update) {
+          result.action = 'skipped';
+          result.reason = 'already exists (use --update to overwrite)';
+          result.id = existing.id;
+          summary.skipped++;
+          continue;
+        }
+        
+        result.action = existing ? 'updated' : 'created';
+        summary[result.action]++;
+        
+        if (dryRun) {
+          result.body = event;
+          if (existing) result.id = existing.id;
+          continue;
+        }
+        
+        const saved = existing ?
+          client.updateEvent(calendarId, existing.id, { ...event, organizer: undefined }) :
+          client.importEvent(calendarId, event);
+        result.id = saved.id;
+      } catch (error) {
+        if (result.action) summary[result.action]--;
+        result.action = 'failed';
+        result.error = error.message;
+        summary.failed++;
       }
-      
-      if (events.items.length > maxDisplay) {
-        console.log(`... and ${events.items.length - maxDisplay} more events`);
-        console.log('💡 Use --max to increase limit or remove --summary for more details');
+    }
+    
+    // RECURRENCE-ID overrides: a changed occurrence updates that instance of the series,
+    // a cancelled one (STATUS:CANCELLED) deletes it
+    for (const { result, event, originalStart } of overrides) {
+      try {
+        const cancelled = event.status === 'cancelled';
+        result.occurrence = originalStart.dateTime || originalStart.date;
+        
+        let master = series[event.iCalUID];
+        if (!master) {
+          const existing = event.iCalUID && client.listEvents(calendarId, {
+            iCalUID: event.iCalUID,
+            singleEvents: false,
+            maxResults: 1
+          }).items[0];
+          if (!existing) {
+            throw new CalendarError('not-found', 'Its recurring event is neither in the file nor in the calendar');
+          }
+          master = { id: existing.id, action: args.options.update ? 'updated' : 'skipped' };
+        }
+        
+        if (master.action === 'failed') {
+          throw new CalendarError('error', 'Its recurring event could not be imported');
+        }
+        if (master.action === 'skipped') {
+          result.action = 'skipped';
+          result.reason = 'the series already exists (use --update to apply changed occurrences)';
+          summary.skipped++;
+          continue;
+        }
+        
+        result.action = 'updated';
+        result.reason = `${cancelled ? 'cancels' : 'changes'} the occurrence of ${formatDate(result.occurrence)}`;
+        summary.updated++;
+        
+        if (dryRun) {
+          result.body = event;
+          continue;
+        }
+        
+        const instance = findOriginalInstance(client, calendarId, master.id, originalStart);
+        if (!instance) {
+          throw new CalendarError('not-found', `The series has no occurrence at ${result.occurrence}`);
+        }
+        
+        if (cancelled) {
+          client.deleteEvent(calendarId, instance.id);
+        } else {
+          client.updateEvent(calendarId, instance.id, { ...event, iCalUID: undefined, organizer: undefined, recurrence: undefined });
+        }
+        result.id = instance.id;
+      } catch (error) {
+        if (result.action) summary[result.action]--;
+        result.action = 'failed';
+        result.error = error.message;
+        summary.failed++;
       }
+    }
+    
+    if (args.options.json) {
+      console.log(JSON.stringify({
+        ...partialFailure(summary.failed, results.length, 'events failed to import'),
+        file,
+        calendarId,
+        dryRun,
+        ...summary,
+        events: results
+      }, null, 2));
     } else {
-      console.log(`📅 No upcoming events in the next ${days} days`);
+      const icons = { created: '➕', updated: '✏️ ', skipped: '⏭️ ', failed: '❌' };
+      const verb = dryRun ? 'Import preview' : 'Imported';
+      console.log(`📥 ${verb} from ${file === '-' ? 'stdin' : file} into ${calendarId}:\n`);
+      
+      for (const result of results) {
+        const when = result.start ? formatDate(result.start) : '';
+        console.log(`${icons[result.action]} ${result.action.padEnd(8)} ${result.summary || '(unparseable event)'}  ${when}`);
+        if (result.reason) console.log(`   ${result.reason}`);
+        if (result.error) console.log(`   ${result.error}`);
+        for (const warning of result.warnings || []) console.log(`   ⚠️  ${warning}`);
+      }
+      
+      const prefix = dryRun ? 'Would have ' : '';
+      console.log(`\n📊 ${prefix}created ${summary.created}, updated ${summary.updated}, skipped ${summary.skipped}, failed ${summary.failed}`);
+      if (dryRun) {
+        console.log('💡 Dry run - nothing was written. Remove --dry-run to import');
+      }
+    }
+    
+    if (summary.failed > 0) {
+      process.exit(1);
     }
   } catch (error) {
-    console.error('❌ Failed to get upcoming events:', error.message);
-    process.exit(1);
+    exitWithError(error, args, 'Import failed');
   }
 }
 
-function searchEvents(args) {
+/**
+ * Incrementally sync calendars into the local event cache
+ */
+function syncCalendars(args) {
   try {
-    if (!args.positional || args.positional.length === 0) {
-      console.error('❌ Search query required');
-      console.error('Usage: node gcal.js search "meeting"');
-      process.exit(1);
-    }
-    
     const client = new CalendarClient();
-    const query = args.positional[0];
-    const calendarId = args.options.calendar || args.options.c || 'primary';
-    
-    const options = {
-      calendar: calendarId,
-      maxResults: args.options.max ? parseInt(args.options.max) : 50
-    };
-    
-    if (args.options.from || args.options.f) {
-      const fromDate = args.options.from || args.options.f;
-      options.timeMin = new Date(fromDate).toISOString();
-    }
+    const cache = new EventCache(args.options['cache-dir']);
+    const calendars = resolveCalendars(client, args);
+    const results = [];
     
-    if (args.options.to || args.options.t) {
-      const toDate = args.options.to || args.options.t;
-      options.timeMax = new Date(toDate).toISOString();
+    for (const calendar of calendars) {
+      try {
+        results.push(cache.sync(client, calendar.id, { full: Boolean(args.options.full) }));
+      } catch (error) {
+        results.push({ calendarId: calendar.id, error: error.message });
+      }
     }
     
-    const events = client.searchEvents(query, options);
-    
     if (args.options.json) {
-      console.log(JSON.stringify(events, null, 2));
-      return;
+      const failed = results.filter(result => result.error).length;
+      console.log(JSON.stringify({
+        ...partialFailure(failed, results.length, 'calendars failed to sync'),
+        cacheDir: cache.dir,
+        calendars: results
+      }, null, 2));
+    } else {
+      for (const result of results) {
+        if (result.error) {
+          console.log(`❌ ${result.calendarId}: ${result.error}`);
+          continue;
+        }
+        const kind = result.full ? 'full' : 'incremental';
+        console.log(`🔄 ${result.calendarId} (${kind}): +${result.added} new, ${result.updated} updated, ${result.deleted} deleted - ${result.total} event(s) cached`);
+      }
+      console.log(`\n🗄️  Cache: ${cache.dir}`);
+      console.log('💡 Read from it with --offline, e.g. node gcal.js today --offline');
     }
     
-    console.log(`🔍 Search results for "${query}":\n`);
-    
-    if (events.items && events.items.length > 0) {
-      for (const event of events.items) {
-        const start = event.start?.dateTime || event.start?.date;
-        const eventDate = formatDate(start);
-        
-        const summary = EventFormatter.formatSummary(event, {
-          showLocation: !args.options.summary,
-          showAttendees: args.options.full,
-          showStatus: args.options.full
-        });
-        
-        console.log(`📅 ${eventDate}`);
-        console.log(`⏰ ${summary}\n`);
-      }
-    } else {
-      console.log(`📅 No events found matching "${query}"`);
+    if (results.some(result => result.error)) {
+      process.exit(1);
     }
   } catch (error) {
-    console.error('❌ Search failed:', error.message);
-    process.exit(1);
+    exitWithError(error, args, 'Sync failed');
   }
 }
 
-function showEvent(args) {
+/**
+ * Create an event from free text with Google's quickAdd parser
+ */
+function quickAdd(args) {
   try {
-    if (!args.positional || args.positional.length === 0) {
-      console.error('❌ Event ID required');
-      console.error('Usage: node gcal.js event <eventId>');
-      process.exit(1);
+    const text = (args.positional || []).join(' ').trim();
+    if (!text) {
+      throw new CalendarError('validation', 'Event text required', {
+        hints: ['Usage: node gcal.js quick "Lunch with Sam tomorrow at noon" [--confirm]']
+      });
     }
     
-    const client = new CalendarClient();
-    const eventId = args.positional[0];
+    const client = new CalendarClient({ sendUpdates: getNotify(args) });
     const calendarId = args.options.calendar || args.options.c || 'primary';
+    const event = client.quickAddEvent(calendarId, text);
     
-    const event = client.getEvent(calendarId, eventId);
+    const show = print => {
+      print(`📅 ${event.summary || '(No title)'}`);
+      print(`🕐 ${EventFormatter.formatTimeRange(event)}`);
+      print(`📅 ${formatDate(event.start?.dateTime || event.start?.date)}`);
+      if (event.location) {
+        print(`📍 ${event.location}`);
+      }
+      const notified = describeNotify(client.sendUpdates, event, 'Invitation');
+      if (notified) {
+        print(`📨 ${notified}`);
+      }
+      print(`🆔 Event ID: ${event.id}`);
+    };
+    
+    // --confirm: show Google's reading of the text and undo it only when it is rejected
+    let kept = true;
+    if (args.options.confirm) {
+      console.error(`🔎 Google read "${text}" as:\n`);
+      show(line => console.error(line));
+      
+      const answer = promptLine('\nKeep this event? [Y/n] ');
+      if (answer === null) {
+        throw new CalendarError('error', `No answer could be read from stdin, so the event was kept (ID ${event.id})`, {
+          hints: [`💡 Remove it with: node gcal.js delete ${event.id} --yes`]
+        });
+      }
+      kept = !/^n(o)?$/i.test(answer);
+      if (!kept) {
+        client.deleteEvent(calendarId, event.id);
+      }
+    }
     
     if (args.options.json) {
-      console.log(JSON.stringify(event, null, 2));
+      console.log(JSON.stringify(args.options.confirm ? { kept, event } : event, null, 2));
       return;
     }
     
-    const formatted = EventFormatter.format(event);
-    
-    console.log(`📅 Event Details:\n`);
-    console.log(`Title: ${formatted.summary}`);
-    console.log(`Time: ${EventFormatter.formatTimeRange(event)}`);
-    console.log(`Date: ${formatDate(formatted.start)}`);
-    
-    if (formatted.location) {
-      console.log(`Location: ${formatted.location}`);
+    if (!kept) {
+      console.log('🗑️  Removed again. Rephrase the text, or create it explicitly:');
+      console.log('   node gcal.js create --title "..." --start "tomorrow 12pm" --duration 1h');
+      return;
     }
     
-    if (formatted.description) {
-      console.log(`Description: ${formatted.description}`);
+    if (args.options.confirm) {
+      console.log(`✅ Kept "${event.summary || '(No title)'}" (${event.id})`);
+    } else {
+      console.log(`✅ Event added from "${text}"\n`);
+      show(line => console.log(line));
     }
     
-    if (formatted.attendees.length > 0) {
-      console.log(`\nAttendees (${formatted.attendees.length}):`);
-      for (const attendee of formatted.attendees.slice(0, 10)) {
-        const name = attendee.displayName || attendee.email;
-        const status = attendee.responseStatus || 'unknown';
-        console.log(`  - ${name} (${status})`);
-      }
-      
-      if (formatted.attendees.length > 10) {
-        console.log(`  ... and ${formatted.attendees.length - 10} more`);
-      }
+    if (event.htmlLink) {
+      console.log(`🔗 ${event.htmlLink}`);
     }
+  } catch (error) {
+    exitWithError(error, args, 'Quick add failed');
+  }
+}
+
+// Helper function to build a new event body from create options (also used for each row of
+// `bulk create`). Throws a validation error for missing or invalid input.
+function buildEventBody(args) {
+  // Required parameters
+  const title = args.options.title || args.options.summary || args.positional[0];
+  const start = args.options.start || args.options.from;
+  const end = args.options.end || args.options.to;
+  
+  if (!title) {
+    throw new CalendarError('validation', 'Event title is required', {
+      hints: ['Usage: node gcal.js create --title "Meeting" --start "2024-01-15T10:00:00" --end "2024-01-15T11:00:00"']
+    });
+  }
+  
+  if (!start) {
+    throw new CalendarError('validation', 'Start time is required', {
+      hints: ['Usage: node gcal.js create --title "Meeting" --start "2024-01-15T10:00:00" --end "2024-01-15T11:00:00"']
+    });
+  }
+  
+  // All-day when requested explicitly or when --start is a plain date
+  const allDay = Boolean(args.options['all-day']) || DateParser.isDateOnly(start);
+  
+  if (!end && !args.options.duration && !allDay) {
+    throw new CalendarError('validation', 'End time is required (or use --duration or --all-day)', {
+      hints: ['Usage: node gcal.js create --title "Meeting" --start "2024-01-15T10:00:00" --end "2024-01-15T11:00:00"']
+    });
+  }
+  
+  assertValid(validateEventInput(args));
+  
+  const timeZone = getTimeZone(args, 'Asia/Hong_Kong');
+  
+  // Build event object
+  const event = {
+    summary: title
+  };
+  
+  if (allDay) {
+    const { startDate, endDate } = getAllDayDates(args, start, timeZone);
+    event.start = { date: startDate };
+    event.end = { date: endDate };
+  } else {
+    const startDate = DateParser.parse(start, { timeZone, option: args.options.start ? '--start' : '--from' });
+    const endDate = getEndDate(args, startDate, timeZone);
+    event.start = {
+      dateTime: formatLocalDateTime(startDate, timeZone),
+      timeZone
+    };
+    event.end = {
+      dateTime: formatLocalDateTime(endDate, timeZone),
+      timeZone
+    };
+  }
+  
+  // Optional parameters
+  if (args.options.description || args.options.desc) {
+    event.description = args.options.description || args.options.desc;
+  }
+  
+  if (args.options.location || args.options.loc) {
+    event.location = args.options.location || args.options.loc;
+  }
+  
+  if (args.options.attendees) {
+    event.attendees = args.options.attendees.split(',').map(email => ({
+      email: email.trim()
+    }));
+  }
+  
+  // Reminders
+  if (args.options.reminder !== false) {
+    event.reminders = {
+      useDefault: true
+    };
     
-    console.log(`\nStatus: ${formatted.status}`);
-    console.log(`Created: ${new Date(formatted.created).toLocaleString()}`);
-    console.log(`Updated: ${new Date(formatted.updated).toLocaleString()}`);
-    
-    if (formatted.htmlLink) {
-      console.log(`Link: ${formatted.htmlLink}`);
+    if (args.options.reminder && args.options.reminder !== true) {
+      const minutes = parseInt(args.options.reminder);
+      if (!isNaN(minutes)) {
+        event.reminders = {
+          useDefault: false,
+          overrides: [
+            { method: 'popup', minutes: minutes }
+          ]
+        };
+      }
     }
-  } catch (error) {
-    console.error('❌ Failed to get event:', error.message);
-    process.exit(1);
   }
+  
+  if (args.options.meet) {
+    event.conferenceData = buildMeetRequest();
+  }
+  
+  // Recurrence
+  const recurrence = Recurrence.build(args, event.start);
+  if (recurrence.length > 0) {
+    event.recurrence = recurrence;
+  }
+  
+  return { event, allDay };
 }
 
 /**
@@ -740,81 +5972,33 @@ function showEvent(args) {
  */
 function createEvent(args) {
   try {
-    const client = new CalendarClient();
+    const client = new CalendarClient({
+      dryRun: Boolean(args.options['dry-run']),
+      sendUpdates: getNotify(args)
+    });
     const calendarId = args.options.calendar || args.options.c || 'primary';
     
-    // Required parameters
-    const title = args.options.title || args.options.summary || args.positional[0];
-    const start = args.options.start || args.options.from;
-    const end = args.options.end || args.options.to;
-    
-    if (!title) {
-      console.error('❌ Event title is required');
-      console.error('Usage: node gcal.js create --title "Meeting" --start "2024-01-15T10:00:00" --end "2024-01-15T11:00:00"');
-      process.exit(1);
-    }
-    
-    if (!start) {
-      console.error('❌ Start time is required');
-      console.error('Usage: node gcal.js create --title "Meeting" --start "2024-01-15T10:00:00" --end "2024-01-15T11:00:00"');
-      process.exit(1);
-    }
-    
-    if (!end) {
-      console.error('❌ End time is required');
-      console.error('Usage: node gcal.js create --title "Meeting" --start "2024-01-15T10:00:00" --end "2024-01-15T11:00:00"');
-      process.exit(1);
-    }
+    const { event, allDay } = buildEventBody(args);
     
-    // Build event object
-    const event = {
-      summary: title,
-      start: {
-        dateTime: start,
-        timeZone: args.options.timezone || args.options.tz || 'Asia/Hong_Kong'
-      },
-      end: {
-        dateTime: end,
-        timeZone: args.options.timezone || args.options.tz || 'Asia/Hong_Kong'
+    // Timed events are checked against the calendar (first occurrence for a series)
+    let conflicts = null;
+    if (!allDay) {
+      conflicts = guardConflicts(client, calendarId, {
+        start: apiTimeToDate(event.start),
+        end: apiTimeToDate(event.end)
+      }, args, { attendees: getAttendeeEmails(event), action: 'Event not created' });
+      if (event.recurrence) {
+        console.error('ℹ️  Only the first occurrence was checked for conflicts; later ones are not');
       }
-    };
-    
-    // Optional parameters
-    if (args.options.description || args.options.desc) {
-      event.description = args.options.description || args.options.desc;
     }
     
-    if (args.options.location || args.options.loc) {
-      event.location = args.options.location || args.options.loc;
-    }
-    
-    if (args.options.attendees) {
-      event.attendees = args.options.attendees.split(',').map(email => ({
-        email: email.trim()
-      }));
-    }
+    const createdEvent = client.createEvent(calendarId, event);
     
-    // Reminders
-    if (args.options.reminder !== false) {
-      event.reminders = {
-        useDefault: true
-      };
-      
-      if (args.options.reminder && args.options.reminder !== true) {
-        const minutes = parseInt(args.options.reminder);
-        if (!isNaN(minutes)) {
-          event.reminders = {
-            useDefault: false,
-            overrides: [
-              { method: 'popup', minutes: minutes }
-            ]
-          };
-        }
-      }
+    if (client.dryRun) {
+      printDryRun(client, args, { conflicts });
+      return;
     }
     
-    const createdEvent = client.createEvent(calendarId, event);
-    
     if (args.options.json) {
       console.log(JSON.stringify(createdEvent, null, 2));
       return;
@@ -823,6 +6007,10 @@ function createEvent(args) {
     const formatted = EventFormatter.format(createdEvent);
     
     console.log(`✅ Event created successfully!\n`);
+    if (conflicts && conflicts.count > 0) {
+      printConflicts(conflicts, console.log);
+      console.log('');
+    }
     console.log(`📅 ${formatted.summary}`);
     console.log(`🕐 ${EventFormatter.formatTimeRange(createdEvent)}`);
     console.log(`📅 ${formatDate(formatted.start)}`);
@@ -835,6 +6023,19 @@ function createEvent(args) {
       console.log(`👥 ${formatted.attendees.length} attendee(s)`);
     }
     
+    const notified = describeNotify(client.sendUpdates, createdEvent, 'Invitation');
+    if (notified) {
+      console.log(`📨 ${notified}`);
+    }
+    
+    if (formatted.conference) {
+      printConference(formatted.conference, formatted.id);
+    }
+    
+    if (formatted.recurrence) {
+      console.log(`🔁 ${Recurrence.describe(formatted.recurrence)}`);
+    }
+    
     console.log(`🆔 Event ID: ${createdEvent.id}`);
     
     if (createdEvent.htmlLink) {
@@ -842,8 +6043,7 @@ function createEvent(args) {
     }
     
   } catch (error) {
-    console.error('❌ Failed to create event:', error.message);
-    process.exit(1);
+    exitWithError(error, args, 'Failed to create event');
   }
 }
 
@@ -853,17 +6053,23 @@ function createEvent(args) {
 function updateEvent(args) {
   try {
     if (!args.positional || args.positional.length === 0) {
-      console.error('❌ Event ID required');
-      console.error('Usage: node gcal.js update <eventId> --title "New Title"');
-      process.exit(1);
+      throw new CalendarError('validation', 'Event ID required', {
+        hints: ['Usage: node gcal.js update <eventId> --title "New Title"']
+      });
     }
     
-    const client = new CalendarClient();
+    const client = new CalendarClient({
+      dryRun: Boolean(args.options['dry-run']),
+      sendUpdates: getNotify(args)
+    });
     const calendarId = args.options.calendar || args.options.c || 'primary';
     const eventId = args.positional[0];
     
-    // Get current event
-    const currentEvent = client.getEvent(calendarId, eventId);
+    // Get current event (the occurrence or the series master, depending on --scope)
+    const target = resolveScope(client, calendarId, client.getEvent(calendarId, eventId), args.options.scope);
+    const currentEvent = target.event;
+    
+    assertValid(validateEventInput(args, currentEvent));
     
     // Build update object (only include fields that are being changed)
     const updates = {};
@@ -872,46 +6078,153 @@ function updateEvent(args) {
       updates.summary = args.options.title || args.options.summary;
     }
     
-    if (args.options.description !== undefined || args.options.desc !== undefined) {
+    if (args.options['clear-description']) {
+      updates.description = '';
+    } else if (args.options.description !== undefined || args.options.desc !== undefined) {
       updates.description = args.options.description || args.options.desc || '';
     }
     
-    if (args.options.location !== undefined || args.options.loc !== undefined) {
+    if (args.options['clear-location']) {
+      updates.location = '';
+    } else if (args.options.location !== undefined || args.options.loc !== undefined) {
       updates.location = args.options.location || args.options.loc || '';
     }
     
-    if (args.options.start || args.options.from) {
-      updates.start = {
-        dateTime: args.options.start || args.options.from,
-        timeZone: args.options.timezone || args.options.tz || currentEvent.start.timeZone || 'Asia/Hong_Kong'
-      };
+    const startValue = args.options.start || args.options.from;
+    const endValue = args.options.end || args.options.to;
+    const wasAllDay = !currentEvent.start.dateTime;
+    
+    // Work out whether the event should end up all-day or timed
+    let allDay = wasAllDay;
+    if (args.options['all-day'] || DateParser.isDateOnly(startValue)) {
+      allDay = true;
+    } else if (args.options.timed || (wasAllDay && startValue)) {
+      allDay = false;
     }
     
-    if (args.options.end || args.options.to) {
-      updates.end = {
-        dateTime: args.options.end || args.options.to,
-        timeZone: args.options.timezone || args.options.tz || currentEvent.end.timeZone || 'Asia/Hong_Kong'
-      };
+    if (allDay) {
+      if (!wasAllDay || startValue || endValue || args.options.duration) {
+        const timeZone = getTimeZone(args, currentEvent.start.timeZone || 'Asia/Hong_Kong');
+        const start = startValue || currentEvent.start.date ||
+          formatLocalDate(new Date(currentEvent.start.dateTime), timeZone);
+        
+        // Keep the current number of days when no new end is given
+        const dateArgs = { ...args, options: { ...args.options } };
+        if (!endValue && !args.options.duration) {
+          const firstDay = currentEvent.start.date || formatLocalDate(new Date(currentEvent.start.dateTime), timeZone);
+          const lastDay = currentEvent.end.date ? addDays(currentEvent.end.date, -1) :
+            formatLocalDate(new Date(new Date(currentEvent.end.dateTime).getTime() - 1), timeZone);
+          const days = Math.round((new Date(lastDay) - new Date(firstDay)) / 86400000) + 1;
+          dateArgs.options.duration = `${Math.max(1, days)}d`;
+        }
+        
+        const { startDate, endDate } = getAllDayDates(dateArgs, start, timeZone);
+        
+        // Clear the timed fields explicitly so the event switches form
+        updates.start = { date: startDate, dateTime: null, timeZone: null };
+        updates.end = { date: endDate, dateTime: null, timeZone: null };
+      }
+    } else {
+      let startDate = null;
+      if (wasAllDay && !startValue) {
+        throw new CalendarError('validation', '--start with a time is required to convert an all-day event to a timed event');
+      }
+      
+      if (wasAllDay && !endValue && !args.options.duration) {
+        throw new CalendarError('validation', '--end or --duration is required to convert an all-day event to a timed event');
+      }
+      
+      if (startValue) {
+        const timeZone = getTimeZone(args, currentEvent.start.timeZone || 'Asia/Hong_Kong');
+        startDate = DateParser.parse(startValue, {
+          timeZone,
+          option: args.options.start ? '--start' : '--from'
+        });
+        updates.start = {
+          dateTime: formatLocalDateTime(startDate, timeZone),
+          timeZone
+        };
+        if (wasAllDay) {
+          updates.start.date = null;
+        }
+      }
+      
+      if (endValue || args.options.duration) {
+        const timeZone = getTimeZone(args, currentEvent.end.timeZone || 'Asia/Hong_Kong');
+        const base = startDate || new Date(currentEvent.start.dateTime);
+        const endDate = getEndDate(args, base, timeZone);
+        updates.end = {
+          dateTime: formatLocalDateTime(endDate, timeZone),
+          timeZone
+        };
+        if (wasAllDay) {
+          updates.end.date = null;
+        }
+      }
     }
     
-    if (args.options.attendees !== undefined) {
-      if (args.options.attendees === '') {
-        updates.attendees = [];
+    if (args.options['remove-meet']) {
+      updates.conferenceData = null;
+    } else if (args.options.meet) {
+      if (EventFormatter.conference(currentEvent)) {
+        console.error(`ℹ️  Event already has a meeting link: ${EventFormatter.conference(currentEvent).joinUrl}`);
       } else {
-        updates.attendees = args.options.attendees.split(',').map(email => ({
-          email: email.trim()
-        }));
+        updates.conferenceData = buildMeetRequest();
       }
     }
     
+    const attendees = editAttendees(args, currentEvent.attendees);
+    if (attendees) {
+      updates.attendees = attendees;
+    }
+    
     // Check if any updates were provided
     if (Object.keys(updates).length === 0) {
-      console.error('❌ No updates provided');
-      console.error('Available options: --title, --description, --location, --start, --end, --attendees');
-      process.exit(1);
+      if (args.options.meet) {
+        return;
+      }
+      throw new CalendarError('validation', 'No updates provided', {
+        hints: [
+          'Available options: --title, --description, --location, --start, --end, --duration, --all-day, --timed,',
+          '  --attendees, --add-attendee, --remove-attendee, --optional-attendee, --clear-description, --clear-location,',
+          '  --meet, --remove-meet'
+        ]
+      });
+    }
+    
+    // Check the new time slot when the event moves, stays timed, or gains attendees
+    let conflicts = null;
+    const finalStart = updates.start || currentEvent.start;
+    const finalEnd = updates.end || currentEvent.end;
+    if (!finalStart.date && (updates.start || updates.end || updates.attendees)) {
+      const timeZone = currentEvent.start.timeZone || 'Asia/Hong_Kong';
+      conflicts = guardConflicts(client, calendarId, {
+        start: apiTimeToDate(finalStart, timeZone),
+        end: apiTimeToDate(finalEnd, timeZone)
+      }, args, {
+        ignore: currentEvent,
+        attendees: getAttendeeEmails(updates.attendees ? updates : currentEvent),
+        action: 'Event not updated'
+      });
     }
     
-    const updatedEvent = client.updateEvent(calendarId, eventId, updates);
+    let updatedEvent;
+    let split = null;
+    if (target.scope === 'following') {
+      split = splitSeries(client, calendarId, target.master, currentEvent, updates);
+      updatedEvent = split.created;
+    } else {
+      updatedEvent = client.updateEvent(calendarId, currentEvent.id, updates);
+    }
+    
+    if (client.dryRun) {
+      printDryRun(client, args, {
+        summary: currentEvent.summary || currentEvent.id,
+        changes: diffEvent(currentEvent, updates),
+        conflicts
+      });
+      return;
+    }
     
     if (args.options.json) {
       console.log(JSON.stringify(updatedEvent, null, 2));
@@ -921,6 +6234,19 @@ function updateEvent(args) {
     const formatted = EventFormatter.format(updatedEvent);
     
     console.log(`✅ Event updated successfully!\n`);
+    if (conflicts && conflicts.count > 0) {
+      printConflicts(conflicts, console.log);
+      console.log('');
+    }
+    
+    if (split && split.master) {
+      console.log(`✂️  Series split: "${split.master.summary}" (${split.master.id}) now ends before this occurrence`);
+      console.log(`🔁 New series from this occurrence onward: ${Recurrence.describe(updatedEvent.recurrence)}\n`);
+    } else if (target.scope === 'all' || (split && !split.master)) {
+      console.log('🔁 Applied to all occurrences of the series\n');
+    } else if (target.scope === 'this') {
+      console.log('📌 Applied to this occurrence only\n');
+    }
     console.log(`📅 ${formatted.summary}`);
     console.log(`🕐 ${EventFormatter.formatTimeRange(updatedEvent)}`);
     console.log(`📅 ${formatDate(formatted.start)}`);
@@ -933,6 +6259,15 @@ function updateEvent(args) {
       console.log(`👥 ${formatted.attendees.length} attendee(s)`);
     }
     
+    const notified = describeNotify(client.sendUpdates, updatedEvent, 'Update');
+    if (notified) {
+      console.log(`📨 ${notified}`);
+    }
+    
+    if (formatted.conference) {
+      printConference(formatted.conference, formatted.id);
+    }
+    
     console.log(`🆔 Event ID: ${updatedEvent.id}`);
     
     if (updatedEvent.htmlLink) {
@@ -940,8 +6275,163 @@ function updateEvent(args) {
     }
     
   } catch (error) {
-    console.error('❌ Failed to update event:', error.message);
-    process.exit(1);
+    exitWithError(error, args, 'Failed to update event');
+  }
+}
+
+// Helper function to explain why an event cannot be moved, or return null if it can
+function moveBlocker(event) {
+  if (event.eventType && event.eventType !== 'default') {
+    return `${event.eventType} events cannot be moved`;
+  }
+  if (event.organizer && event.organizer.self === false) {
+    return `organized by ${event.organizer.email || 'someone else'}; only the organizer's copy can be moved`;
+  }
+  return null;
+}
+
+/**
+ * Move one event, or every event matching --search, to another calendar
+ */
+function moveEvent(args) {
+  try {
+    const usage = 'Usage: node gcal.js move <eventId> --to <calendarId>  |  node gcal.js move --search "standup" --to <calendarId> [--yes]';
+    const destination = args.options.to;
+    const query = args.options.search || args.options.query || args.options.q;
+    const eventId = args.positional && args.positional[0];
+    
+    if (!destination || destination === true || (!eventId && (!query || query === true))) {
+      throw new CalendarError('validation', 'An event ID (or --search query) and --to <calendarId> are required', {
+        hints: [usage]
+      });
+    }
+    
+    const client = new CalendarClient({
+      dryRun: Boolean(args.options['dry-run']),
+      sendUpdates: getNotify(args)
+    });
+    const calendarId = args.options.calendar || args.options.c || 'primary';
+    
+    if (destination === calendarId) {
+      throw new CalendarError('validation', `The event is already on ${calendarId}`);
+    }
+    
+    // Collect what to move; occurrences of a series are moved as the whole series
+    let events;
+    if (eventId) {
+      const target = resolveScope(client, calendarId, client.getEvent(calendarId, eventId), args.options.scope);
+      if (target.event.recurringEventId) {
+        throw new CalendarError('validation', `"${target.event.id}" is one occurrence of a series; occurrences cannot move on their own. ` +
+          `Move the series with --scope all`);
+      }
+      events = [target.event];
+    } else {
+      const timeZone = getTimeZone(args);
+      const range = {};
+      if (args.options.from) {
+        range.timeMin = DateParser.parse(args.options.from, { timeZone, option: '--from' }).toISOString();
+      }
+      if (args.options.until) {
+        range.timeMax = DateParser.parse(args.options.until, { timeZone, option: '--until' }).toISOString();
+      }
+      
+      const maxResults = args.options.max ? parseInt(args.options.max) : 50;
+      const found = client.searchEvents(query, { ...range, calendar: calendarId, maxResults });
+      
+      const seen = new Set();
+      events = [];
+      for (const event of found.items || []) {
+        const id = event.recurringEventId || event.id;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        events.push(event.recurringEventId ? { ...event, id, series: true } : event);
+      }
+      
+      if (found.truncated) {
+        console.error(`⚠️  Only the first ${maxResults} matches were considered. Use --max to raise the limit`);
+      }
+    }
+    
+    const movable = events.filter(event => !moveBlocker(event));
+    const skipped = events.filter(event => moveBlocker(event))
+      .map(event => ({ id: event.id, summary: event.summary, reason: moveBlocker(event) }));
+    
+    // A search moves nothing until the preview has been confirmed with --yes
+    if (!eventId && !args.options.yes && !args.options.y && !client.dryRun) {
+      if (args.options.json) {
+        console.log(JSON.stringify({
+          preview: true,
+          destination,
+          events: movable.map(event => EventFormatter.format(event)),
+          skipped
+        }, null, 2));
+        return;
+      }
+      
+      console.log(`🔍 ${movable.length} event(s) matching "${query}" on ${calendarId} would move to ${destination}:\n`);
+      for (const event of movable) {
+        const date = formatDate(event.start?.dateTime || event.start?.date);
+        console.log(`  • ${date}  ${EventFormatter.formatSummary(event)}${event.series ? '  (whole series)' : ''}`);
+      }
+      for (const entry of skipped) {
+        console.log(`  ⏭️  ${entry.summary || entry.id}: ${entry.reason}`);
+      }
+      if (movable.length > 0) {
+        console.log('\n💡 Add --yes to move them');
+      }
+      return;
+    }
+    
+    const moved = [];
+    const failed = [];
+    for (const event of movable) {
+      try {
+        moved.push(client.moveEvent(calendarId, event.id, destination));
+      } catch (error) {
+        failed.push({ id: event.id, summary: event.summary, error: error.message });
+      }
+    }
+    
+    if (client.dryRun) {
+      printDryRun(client, args, { action: `Would move ${movable.length} event(s) from ${calendarId} to ${destination}`, skipped });
+      return;
+    }
+    
+    if (args.options.json) {
+      // Skipping the one event that was asked for is a failure too
+      const failures = failed.length + (eventId ? skipped.length : 0);
+      console.log(JSON.stringify({
+        ...partialFailure(failures, movable.length + skipped.length, 'events could not be moved'),
+        destination,
+        notify: client.sendUpdates,
+        moved,
+        skipped,
+        failed
+      }, null, 2));
+    } else {
+      for (const event of moved) {
+        console.log(`✅ Moved "${event.summary || '(No title)'}" from ${calendarId} to ${destination} (ID ${event.id} unchanged)`);
+        const notified = describeNotify(client.sendUpdates, event, 'Update');
+        if (notified) {
+          console.log(`   📨 ${notified}`);
+        }
+      }
+      for (const entry of skipped) {
+        console.log(`⏭️  Skipped "${entry.summary || entry.id}": ${entry.reason}`);
+      }
+      for (const entry of failed) {
+        console.log(`❌ Failed "${entry.summary || entry.id}": ${entry.error}`);
+      }
+      if (moved.length === 1 && moved[0].htmlLink) {
+        console.log(`🔗 ${moved[0].htmlLink}`);
+      }
+    }
+    
+    if (failed.length > 0 || (eventId && skipped.length > 0)) {
+      process.exit(1);
+    }
+  } catch (error) {
+    exitWithError(error, args, 'Failed to move event');
   }
 }
 
@@ -951,51 +6441,434 @@ function updateEvent(args) {
 function deleteEvent(args) {
   try {
     if (!args.positional || args.positional.length === 0) {
-      console.error('❌ Event ID required');
-      console.error('Usage: node gcal.js delete <eventId>');
-      process.exit(1);
+      throw new CalendarError('validation', 'Event ID required', {
+        hints: ['Usage: node gcal.js delete <eventId>']
+      });
     }
     
-    const client = new CalendarClient();
+    const client = new CalendarClient({
+      dryRun: Boolean(args.options['dry-run']),
+      sendUpdates: getNotify(args)
+    });
     const calendarId = args.options.calendar || args.options.c || 'primary';
     const eventId = args.positional[0];
     
     // Get event details before deletion (for confirmation)
     let eventTitle = eventId;
+    let target = { event: { id: eventId }, master: null, scope: null };
+    let event = null;
     try {
-      const event = client.getEvent(calendarId, eventId);
+      event = client.getEvent(calendarId, eventId);
       eventTitle = event.summary || eventId;
     } catch (e) {
       // Event might not exist or not accessible, continue with deletion attempt
     }
     
+    if (args.options.scope) {
+      if (!event) {
+        throw new CalendarError('not-found', `Event not found: ${eventId}`);
+      }
+      target = resolveScope(client, calendarId, event, args.options.scope);
+    }
+    
+    const scopeText = {
+      this: 'this occurrence of',
+      following: 'this and all following occurrences of',
+      all: 'every occurrence of'
+    }[target.scope] || 'the event';
+    
+    // Deleting an event with guests cancels it for them too
+    const notified = describeNotify(client.sendUpdates, event, 'Cancellation');
+    const cancelWarning = notified && client.sendUpdates !== 'none' ?
+      '⚠️  Guests will receive a cancellation email unless you add --notify none' : null;
+    
     // Confirmation check (unless --yes flag is provided)
-    if (!args.options.yes && !args.options.y) {
-      console.error(`❌ This will permanently delete the event: "${eventTitle}"`);
-      console.error('💡 Use --yes flag to confirm: node gcal.js delete <eventId> --yes');
-      process.exit(1);
+    if (!args.options.yes && !args.options.y && !client.dryRun) {
+      throw new CalendarError('validation', `This will permanently delete ${scopeText}: "${eventTitle}"`, {
+        hints: [cancelWarning, '💡 Use --yes flag to confirm: node gcal.js delete <eventId> --yes'].filter(Boolean)
+      });
+    }
+    
+    if (target.scope === 'following') {
+      splitSeries(client, calendarId, target.master, target.event, null);
+    } else {
+      client.deleteEvent(calendarId, target.event.id);
     }
     
-    client.deleteEvent(calendarId, eventId);
+    if (client.dryRun) {
+      if (cancelWarning) {
+        console.error(cancelWarning);
+      }
+      printDryRun(client, args, {
+        action: `Would delete ${scopeText}: "${eventTitle}"`,
+        eventId: target.event.id,
+        scope: target.scope || undefined
+      });
+      return;
+    }
     
     if (args.options.json) {
-      console.log(JSON.stringify({ success: true, eventId: eventId }, null, 2));
+      console.log(JSON.stringify({
+        success: true,
+        eventId: target.event.id,
+        scope: target.scope || undefined,
+        notify: client.sendUpdates
+      }, null, 2));
       return;
     }
     
     console.log(`✅ Event deleted successfully!`);
-    console.log(`🗑️ Deleted: "${eventTitle}"`);
-    console.log(`🆔 Event ID: ${eventId}`);
+    console.log(`🗑️ Deleted ${scopeText}: "${eventTitle}"`);
+    console.log(`🆔 Event ID: ${target.event.id}`);
+    if (notified) {
+      console.log(`📨 ${notified}`);
+    }
     
   } catch (error) {
-    if (error.status === 404) {
-      console.error('❌ Event not found (it may have already been deleted)');
-    } else if (error.status === 403) {
-      console.error('❌ Permission denied - you may not have permission to delete this event');
+    exitWithError(error, args, 'Failed to delete event', {
+      'not-found': 'Event not found (it may have already been deleted)',
+      permission: 'Permission denied - you may not have permission to delete this event'
+    });
+  }
+}
+
+// Helper function to parse CSV text (quoted fields, "" escapes, line breaks in quotes) into rows
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Helper function to read the events of a `bulk create` file: a JSON array (or { events: [...] })
+// or a CSV file whose header row names the fields. "-" reads stdin (JSON, or CSV with --csv).
+function readBulkFile(file, csv) {
+  const text = readSkillFile(file, '--file').replace(/^﻿/, '');
+  
+  if (csv || /\.csv$/i.test(file)) {
+    const [header = [], ...rows] = parseCsv(text);
+    return rows.map(cells => Object.fromEntries(header.map((name, i) => [name.trim(), (cells[i] || '').trim()])));
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new CalendarError('validation', `${file} is not valid JSON (${error.message}); use a .csv extension (or --csv) for CSV files`);
+  }
+  const rows = Array.isArray(data) ? data : data.events;
+  if (!Array.isArray(rows)) {
+    throw new CalendarError('validation', `${file} must hold an array of events or { "events": [...] }`);
+  }
+  return rows;
+}
+
+// Helper function to turn one event of a `bulk create` file into create options. Field names
+// are the create options (title, start, end, duration, all-day, description, location,
+// attendees, timezone, reminder, meet, repeat, on, until, ...); camelCase such as allDay works too.
+function bulkRowToArgs(row, defaults) {
+  const options = { ...defaults };
+  const flags = ['all-day', 'meet'];
+  
+  for (const [key, value] of Object.entries(row)) {
+    let option = key.trim().replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase();
+    if (option === 'time-zone') option = 'timezone';
+    
+    if (value === null || value === undefined || value === '' || value === false) continue;
+    if (Array.isArray(value)) {
+      options[option] = value.map(item => (item && item.email) || item).join(',');
+    } else if (flags.includes(option)) {
+      if (value === true || /^(true|yes|1)$/i.test(String(value))) options[option] = true;
+    } else {
+      options[option] = String(value);
+    }
+  }
+  
+  return { command: 'create', positional: [], options };
+}
+
+// Helper function to select the events for `bulk delete|update` by search query and/or --from/--to
+function selectBulkEvents(client, args, calendarId) {
+  const query = args.options.search || args.options.query || args.options.q || args.positional[1];
+  const range = getTimeRange(args);
+  
+  if ((!query || query === true) && !range.timeMin && !range.timeMax) {
+    throw new CalendarError('validation', 'A search query or a --from/--to range is required to select events', {
+      hints: [`Usage: node gcal.js bulk ${args.positional[0]} "standup" [--from <date>] [--to <date>] [--yes]`]
+    });
+  }
+  
+  if (range.timeMin && range.timeMax && range.timeMax <= range.timeMin) {
+    throw new CalendarError('validation', `--to must be after --from (from ${range.timeMin}, to ${range.timeMax})`);
+  }
+  
+  const maxResults = args.options.max ? parseInt(args.options.max) : 250;
+  const found = query && query !== true ?
+    client.searchEvents(query, { ...range, calendar: calendarId, maxResults }) :
+    client.listEvents(calendarId, { ...range, maxResults });
+  
+  if (found.truncated) {
+    console.error(`⚠️  Only the first ${maxResults} matching events were selected. Use --max to raise the limit`);
+  }
+  return { query: query === true ? null : query, events: found.items || [] };
+}
+
+// Helper function to build the PATCH body of `bulk update` for one event, or null if unchanged
+function buildBulkPatch(args, event) {
+  const patch = {};
+  const title = args.options.title || args.options.summary;
+  const description = args.options.description || args.options.desc;
+  const location = args.options.location || args.options.loc;
+  
+  if (title && title !== true) patch.summary = title;
+  if (description && description !== true) patch.description = description;
+  if (location && location !== true) patch.location = location;
+  if (args.options['clear-description']) patch.description = '';
+  if (args.options['clear-location']) patch.location = '';
+  
+  const attendees = editAttendees(args, event.attendees || []);
+  if (attendees) patch.attendees = attendees;
+  
+  return Object.keys(patch).length > 0 ? patch : null;
+}
+
+// Helper function to label an event in bulk previews and reports
+function bulkLabel(event) {
+  return `${formatDate(event.start?.dateTime || event.start?.date)}  ${EventFormatter.formatSummary(event)}` +
+    (event.series ? '  (whole series)' : '');
+}
+
+/**
+ * Create events from a file, or delete/update every event matching a search, through
+ * the batch endpoint
+ */
+function bulkCommand(args) {
+  try {
+    const action = args.positional[0];
+    const verbs = { create: 'created', delete: 'deleted', update: 'updated' };
+    if (!verbs[action]) {
+      throw new CalendarError('validation', action ? `Unknown bulk command: ${action}` : 'Bulk command required', {
+        hints: ['Usage: node gcal.js bulk create --file events.json|events.csv  |  node gcal.js bulk delete|update "query" [--from] [--to] --yes']
+      });
+    }
+    
+    const wholeSeries = args.options.scope === 'all';
+    if (args.options.scope !== undefined && !(wholeSeries && action === 'delete')) {
+      throw new CalendarError('validation', 'bulk only supports --scope all, with delete');
+    }
+    
+    const client = new CalendarClient({
+      dryRun: Boolean(args.options['dry-run']),
+      sendUpdates: getNotify(args)
+    });
+    const calendarId = args.options.calendar || args.options.c || 'primary';
+    const eventsPath = `/calendars/${encodeURIComponent(calendarId)}/events`;
+    
+    // Each item is one call of the batch plus the event it is about
+    let items = [];
+    let source;
+    
+    if (action === 'create') {
+      const file = args.options.file || args.positional[1];
+      if (!file || file === true) {
+        throw new CalendarError('validation', 'A file of events is required', {
+          hints: ['Usage: node gcal.js bulk create --file events.json|events.csv|- [--calendar <id>] [--yes]']
+        });
+      }
+      
+      const defaults = {};
+      if (args.options.timezone || args.options.tz) {
+        defaults.timezone = args.options.timezone || args.options.tz;
+      }
+      
+      // Every row is checked before anything is sent
+      const problems = [];
+      readBulkFile(file, Boolean(args.options.csv)).forEach((row, index) => {
+        try {
+          const { event } = buildEventBody(bulkRowToArgs(row, defaults));
+          items.push({ event, call: { method: 'POST', endpoint: `${eventsPath}${client.writeQuery(event)}`, body: event } });
+        } catch (error) {
+          const details = error.extra && error.extra.problems ? error.extra.problems.join('; ') : error.message;
+          problems.push(`event ${index + 1}: ${details}`);
+        }
+      });
+      assertValid(problems);
+      source = `from ${file === '-' ? 'stdin' : file}`;
+    } else {
+      if (action === 'update') {
+        const changes = args.options.title || args.options.summary || args.options.description || args.options.desc ||
+          args.options.location || args.options.loc || args.options['clear-description'] || args.options['clear-location'] ||
+          args.options.attendees || args.options['add-attendee'] || args.options['optional-attendee'] || args.options['remove-attendee'];
+        if (!changes) {
+          throw new CalendarError('validation', 'No updates provided', {
+            hints: ['Available options: --title, --description, --location, --clear-description, --clear-location,',
+              '  --add-attendee, --optional-attendee, --remove-attendee']
+          });
+        }
+        
+        // --from/--to select the events here, so only the options that end up in the patch are checked
+        const patchOptions = {};
+        for (const option of ['attendees', 'add-attendee', 'optional-attendee', 'remove-attendee']) {
+          if (args.options[option] !== undefined) patchOptions[option] = args.options[option];
+        }
+        assertValid(validateEventInput({ ...args, options: patchOptions }));
+      }
+      
+      const selection = selectBulkEvents(client, args, calendarId);
+      source = selection.query ? `matching "${selection.query}"` : 'in the date range';
+      
+      if (action === 'delete') {
+        // With --scope all an occurrence stands for its whole series, deleted once through the master
+        const seen = new Set();
+        for (const event of selection.events) {
+          const id = (wholeSeries && event.recurringEventId) || event.id;
+          if (seen.has(id)) continue;
+          seen.add(id);
+          items.push({
+            event: id === event.id ? event : { ...event, id, series: true },
+            call: { method: 'DELETE', endpoint: `${eventsPath}/${encodeURIComponent(id)}${client.writeQuery(null)}` }
+          });
+        }
+      } else {
+        for (const event of selection.events) {
+          const patch = buildBulkPatch(args, event);
+          if (patch) {
+            items.push({
+              event,
+              call: { method: 'PATCH', endpoint: `${eventsPath}/${encodeURIComponent(event.id)}${client.writeQuery(patch)}`, body: patch }
+            });
+          }
+        }
+      }
+    }
+    
+    const withGuests = items.filter(item => describeNotify(client.sendUpdates, { ...item.event, ...item.call.body }, 'Update')).length;
+    
+    // Nothing is sent until the preview has been confirmed with --yes
+    if (!args.options.yes && !args.options.y && !client.dryRun) {
+      if (args.options.json) {
+        console.log(JSON.stringify({
+          preview: true,
+          action,
+          calendarId,
+          count: items.length,
+          events: items.map(item => EventFormatter.format(item.event))
+        }, null, 2));
+        return;
+      }
+      
+      console.log(`🔍 ${items.length} event(s) ${source} would be ${verbs[action]} on ${calendarId}:\n`);
+      const shown = args.options.all ? items : items.slice(0, 20);
+      for (const item of shown) {
+        console.log(`  • ${bulkLabel(item.event)}`);
+      }
+      if (shown.length < items.length) {
+        console.log(`  ... and ${items.length - shown.length} more (--all to list every event)`);
+      }
+      if (action === 'update' && items.length > 0) {
+        console.log(`\n✏️  Changes: ${diffEvent(items[0].event, items[0].call.body).map(change => change.field).join(', ')}`);
+      }
+      const series = new Set(items.map(item => item.event.recurringEventId).filter(Boolean));
+      if (action === 'delete' && !wholeSeries && series.size > 0) {
+        console.log(`\nℹ️  Some are occurrences of ${series.size} recurring event(s); only those occurrences are deleted.` +
+          ' Add --scope all to delete the whole series instead');
+      }
+      if (withGuests > 0 && client.sendUpdates !== 'none') {
+        console.log(`\n⚠️  ${withGuests} of them have guests, who will be emailed unless you add --notify none`);
+      }
+      if (items.length > 0) {
+        console.log(`\n💡 Add --yes to send ${items.length} request(s) in ${Math.ceil(items.length / CalendarClient.BATCH_LIMIT)} batch(es)`);
+      }
+      return;
+    }
+    
+    if (items.length === 0) {
+      console.log(`📭 No events ${source} to ${action}`);
+      return;
+    }
+    
+    const results = client.batch(items.map(item => item.call));
+    
+    if (client.dryRun) {
+      printDryRun(client, args, {
+        action: `Would ${action} ${items.length} event(s) ${source} on ${calendarId} ` +
+          `(${Math.ceil(items.length / CalendarClient.BATCH_LIMIT)} batch request(s))`
+      });
+      return;
+    }
+    
+    const report = items.map((item, index) => {
+      const result = results[index];
+      return {
+        id: (result.body && result.body.id) || item.event.id,
+        summary: item.event.summary,
+        ok: result.ok,
+        status: result.status,
+        error: result.ok ? undefined : CalendarError.from(result.error).toJSON()
+      };
+    });
+    const failed = report.filter(entry => !entry.ok).length;
+    
+    if (args.options.json) {
+      console.log(JSON.stringify({
+        ...partialFailure(failed, report.length, `events failed to ${action}`),
+        action,
+        calendarId,
+        total: report.length,
+        succeeded: report.length - failed,
+        failed,
+        results: report
+      }, null, 2));
     } else {
-      console.error('❌ Failed to delete event:', error.message);
+      items.forEach((item, index) => {
+        const entry = report[index];
+        console.log(entry.ok ? `✅ ${bulkLabel(item.event)}` : `❌ ${bulkLabel(item.event)}\n   ${entry.error.type}: ${entry.error.message}`);
+      });
+      console.log(`\n📊 ${report.length - failed} ${verbs[action]}, ${failed} failed`);
+      if (withGuests > 0) {
+        console.log(`📨 ${client.sendUpdates === 'none' ? 'Guests were not notified' : `Guests of ${withGuests} event(s) were emailed (--notify ${client.sendUpdates})`}`);
+      }
+    }
+    
+    // Partial failure: some calls went through, so report them all but exit non-zero
+    if (failed > 0) {
+      process.exit(1);
     }
-    process.exit(1);
+  } catch (error) {
+    exitWithError(error, args, 'Bulk operation failed');
   }
 }
 
@@ -1009,15 +6882,36 @@ function main() {
   }
   
   try {
+    configureRequests(parsed);
+    
+    // Reject an unknown --format before any API calls
+    OutputFormatter.getFormat(parsed);
+    
     switch (parsed.command) {
       case 'auth':
-        checkAuth();
+        checkAuth(parsed);
         break;
         
       case 'calendars':
         listCalendars(parsed);
         break;
         
+      case 'calendar':
+        manageCalendar(parsed);
+        break;
+        
+      case 'share':
+        shareCalendar(parsed);
+        break;
+        
+      case 'unshare':
+        unshareCalendar(parsed);
+        break;
+        
+      case 'acl':
+        showAcl(parsed);
+        break;
+        
       case 'today':
         showToday(parsed);
         break;
@@ -1030,16 +6924,64 @@ function main() {
         searchEvents(parsed);
         break;
         
+      case 'week':
+      case 'month':
+        showGrid(parsed.command, parsed);
+        break;
+        
       case 'event':
         showEvent(parsed);
         break;
         
+      case 'sync':
+        syncCalendars(parsed);
+        break;
+        
+      case 'export':
+        exportCalendar(parsed);
+        break;
+        
+      case 'import':
+        importCalendar(parsed);
+        break;
+        
+      case 'instances':
+        showInstances(parsed);
+        break;
+        
+      case 'pending':
+        showPending(parsed);
+        break;
+        
+      case 'rsvp':
+        rsvpEvent(parsed);
+        break;
+        
+      case 'freebusy':
+        showFreeBusy(parsed);
+        break;
+        
+      case 'find-slot':
+        findSlot(parsed);
+        break;
+        
+      case 'conflicts':
+        showConflicts(parsed);
+        break;
+        
       case 'list':
         // Alias for upcoming with no time limit
         parsed.options.days = '365'; // List events for next year
+        if (parsed.positional.length > 0) {
+          parsed.options.calendar = parsed.positional.shift();
+        }
         showUpcoming(parsed);
         break;
         
+      case 'quick':
+        quickAdd(parsed);
+        break;
+        
       case 'create':
       case 'add':
         createEvent(parsed);
@@ -1050,34 +6992,26 @@ function main() {
         updateEvent(parsed);
         break;
         
+      case 'move':
+        moveEvent(parsed);
+        break;
+        
       case 'delete':
       case 'remove':
         deleteEvent(parsed);
         break;
         
+      case 'bulk':
+        bulkCommand(parsed);
+        break;
+        
       default:
-        console.error(`❌ Unknown command: ${parsed.command}`);
-        console.error('💡 Run: node gcal.js help');
-        process.exit(1);
+        throw new CalendarError('validation', `Unknown command: ${parsed.command}`, {
+          hints: ['💡 Run: node gcal.js help']
+        });
     }
   } catch (error) {
-    console.error('❌ Execution failed:', error.message);
-    
-    if (error.message.includes('Secure token system')) {
-      console.error('💡 This script must run in sandbox: pave-run gcal.js');
-    }
-    
-    if (parsed.options.json) {
-      console.error(JSON.stringify({
-        error: error.message,
-        status: error.status,
-        data: error.data
-      }, null, 2));
-    } else if (process.env.DEBUG) {
-      console.error('Stack trace:', error.stack);
-    }
-    
-    process.exit(1);
+    exitWithError(error, parsed, 'Execution failed');
   }
 }
 